@@ -0,0 +1,187 @@
+/**
+ * Actions Module for GrapesJS AI Agent Plugin
+ * Runs the editor commands the backend asks for in `actions`
+ * (e.g. opening the layer manager or switching devices)
+ */
+
+// Commands the assistant may run by default, with the descriptions sent to the backend
+const COMMAND_DESCRIPTIONS = {
+  'core:open-layers': 'Opens the layer manager.',
+  'core:open-styles': 'Opens the style manager.',
+  'core:open-traits': 'Opens the component settings (traits).',
+  'core:open-blocks': 'Opens the blocks panel.',
+  'core:open-assets': 'Opens the asset manager.',
+  'core:open-code': 'Shows the HTML and CSS code of the page, to view or export it.',
+  'core:preview': 'Switches to preview mode.',
+  'core:fullscreen': 'Switches the editor to fullscreen.',
+  'core:component-outline': 'Shows the outlines of all components.',
+  'core:undo': 'Undoes the last change.',
+  'core:redo': 'Redoes the last undone change.'
+};
+
+// Described commands left out of the default allowlist: they can undo the user's own edits
+const HISTORY_COMMANDS = ['core:undo', 'core:redo'];
+
+// Default command allowlist (the plugin's set-device command is added to it)
+export const DEFAULT_ALLOWED_COMMANDS = Object.keys(COMMAND_DESCRIPTIONS)
+  .filter((id) => !HISTORY_COMMANDS.includes(id));
+
+export default (editor, opts = {}) => {
+  const pfx = opts.classPrefix || 'gaia';
+  const config = opts.actions || {};
+  const enabled = opts.actions !== false;
+  const deviceCommandId = `${pfx}:set-device`;
+
+  /**
+   * Registers the command switching the canvas device, which GrapesJS
+   * doesn't provide as a command
+   */
+  const registerDeviceCommand = () => {
+    editor.Commands.add(deviceCommandId, {
+      run(editor, sender, options = {}) {
+        const query = String(options.device || '').toLowerCase();
+        const device = editor.Devices.getDevices().find((item) => {
+          const name = item.getName?.() || item.get('name') || '';
+          return item.id.toLowerCase() === query || name.toLowerCase() === query;
+        });
+        if (!device) {
+          throw new Error(`Unknown device "${options.device}"`);
+        }
+        editor.Devices.select(device);
+        return device.id;
+      }
+    });
+  };
+
+  /**
+   * Gets the ids of the commands the assistant may run
+   * @returns {string[]} - Registered command ids in the allowlist
+   */
+  const getAllowedIds = () => {
+    if (!enabled) return [];
+
+    const ids = config.allowed === true
+      ? Object.keys(editor.Commands.getAll())
+      : config.allowed || [...DEFAULT_ALLOWED_COMMANDS, deviceCommandId];
+    return ids.filter((id) => editor.Commands.has(id));
+  };
+
+  /**
+   * Checks whether a command asks the user before running
+   * @param {string} id - Command id
+   * @returns {boolean}
+   */
+  const needsConfirmation = (id) => {
+    return config.confirm === true || (Array.isArray(config.confirm) && config.confirm.includes(id));
+  };
+
+  /**
+   * Gets the description of a command
+   * @param {string} id - Command id
+   * @returns {string}
+   */
+  const describe = (id) => {
+    if (config.descriptions?.[id]) return config.descriptions[id];
+    if (id === deviceCommandId) {
+      const devices = editor.Devices.getDevices().map((device) => device.getName?.() || device.get('name') || device.id);
+      return `Switches the canvas device. Options: { device } (one of: ${devices.join(', ')}).`;
+    }
+    return COMMAND_DESCRIPTIONS[id] || '';
+  };
+
+  /**
+   * Gets the short label of an action, shown on the assistant message
+   * @param {string} id - Command id
+   * @param {Object} options - Command options
+   * @returns {string}
+   */
+  const getLabel = (id, options) => {
+    if (id === deviceCommandId && options.device) {
+      return `Switch to ${options.device}`;
+    }
+    return describe(id).split('. ')[0].replace(/\.$/, '') || id;
+  };
+
+  /**
+   * Gets the commands sent to the backend
+   * @returns {Object[]} - [{ id, description, confirm }]
+   */
+  const getAvailable = () => {
+    return getAllowedIds().map((id) => ({
+      id,
+      description: describe(id),
+      confirm: needsConfirmation(id)
+    }));
+  };
+
+  /**
+   * Turns the `actions` of a response into entries to run, flagging the
+   * commands that are not allowed and the ones waiting for confirmation
+   * @param {Array} actions - [{ command, options }] (a plain command id is accepted too)
+   * @returns {Object[]} - [{ command, options, label, status }], status being
+   *   'pending' (to run), 'confirm' (waiting for the user) or 'blocked'
+   */
+  const prepare = (actions = []) => {
+    if (!enabled || !Array.isArray(actions)) return [];
+
+    const allowed = getAllowedIds();
+    return actions.filter(Boolean).map((action) => {
+      const command = typeof action === 'string' ? action : action.command || action.id;
+      const options = (typeof action === 'object' && action.options) || {};
+      const entry = { command, options, label: getLabel(command, options) };
+
+      if (!allowed.includes(command)) {
+        entry.status = 'blocked';
+        entry.error = `Command "${command}" is not allowed`;
+      } else {
+        entry.status = needsConfirmation(command) ? 'confirm' : 'pending';
+      }
+      return entry;
+    });
+  };
+
+  /**
+   * Runs a prepared action, updating its status to 'done' or 'failed'
+   * @param {Object} entry - Entry from prepare
+   * @returns {Object} - The updated entry
+   */
+  const run = (entry) => {
+    if (entry.status !== 'pending' && entry.status !== 'confirm') return entry;
+
+    try {
+      editor.Commands.run(entry.command, entry.options);
+      entry.status = 'done';
+    } catch (error) {
+      console.error(`Failed to run command "${entry.command}":`, error);
+      entry.status = 'failed';
+      entry.error = error.message || String(error);
+    }
+    return entry;
+  };
+
+  /**
+   * Marks an action waiting for confirmation as skipped
+   * @param {Object} entry - Entry from prepare
+   * @returns {Object} - The updated entry
+   */
+  const skip = (entry) => {
+    if (entry.status === 'confirm') {
+      entry.status = 'skipped';
+    }
+    return entry;
+  };
+
+  if (enabled) {
+    registerDeviceCommand();
+  }
+
+  return {
+    enabled,
+    deviceCommandId,
+    getAvailable,
+    needsConfirmation,
+    prepare,
+    run,
+    skip
+  };
+};
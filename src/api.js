@@ -3,62 +3,420 @@
  * Handles communication with the AI backend and applies HTML modifications
  */
 
-export default (editor, opts = {}) => {
-  const apiEndpoint = opts.api || '';
-  const customHeaders = opts.headers || {};
+import { createError, resolveTransport } from './transports';
+import loadCss from './css';
+import loadUndo from './undo';
+import loadSanitizer from './sanitizer';
+import loadContext from './context';
+import loadHistory from './history';
+import loadTools from './tools';
+import loadActions from './actions';
+import loadReferences from './references';
+import loadRetry from './retry';
+
+export default (editor, opts = {}, tools = null, actions = null) => {
+  const transport = resolveTransport(opts.api, opts);
+  const streamEnabled = opts.stream !== false;
+  const requestTimeout = opts.timeout || 0;
+  const cssModule = loadCss(editor, opts, (id) => findComponentById(id));
+  const undoModule = loadUndo(editor, opts);
+  const sanitizer = loadSanitizer(editor, opts);
+  const contextModule = loadContext(editor, opts, cssModule);
+  const historyModule = loadHistory(editor, opts, (id) => findComponentById(id));
+  const toolsModule = tools || loadTools(editor, opts, () => ({ findComponentById, context: contextModule, css: cssModule }));
+  const actionsModule = actions || loadActions(editor, opts);
+  const referencesModule = loadReferences(editor, opts);
+  const retryModule = loadRetry(editor, opts);
+  const toolCalling = opts.toolCalling !== false;
+  const maxToolRounds = opts.maxToolRounds || 5;
+
+  /**
+   * Waits for a delay, rejecting early if the signal is aborted
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<void>}
+   */
+  const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createError('AbortError', 'Request cancelled.'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  /**
+   * Re-yields stream events, calling a hook before each one
+   * @param {AsyncIterable<Object>} events - Parsed stream events
+   * @param {Function} onEvent - Called whenever an event arrives
+   */
+  async function* tapStream(events, onEvent) {
+    for await (const event of events) {
+      onEvent(event);
+      yield event;
+    }
+  }
+
+  /**
+   * Consumes a stream of response events and aggregates them into a
+   * regular response object.
+   *
+   * Event shapes:
+   * - `{ "reply": "text" }` - a chunk of reply text, appended to the previous ones
+   * - `{ "modification": { "id": "c123", "html": "..." } }` - one completed modification
+   * - `{ "modifications": { "c123": "..." } }` - one or more completed modifications
+   * - `{ "operation": { "op": "remove", "id": "c123" } }` - one completed operation
+   * - `{ "operations": [...] }` - one or more completed operations, in order
+   * - `{ "style": { "selector": ".btn", "style": {...} } }` - one completed style change
+   * - `{ "styles": [...] }` - one or more completed style changes
+   * - `{ "toolCall": { "id": "t1", "name": "getComponent", "arguments": {...} } }` - one tool call
+   * - `{ "toolCalls": [...] }` - one or more tool calls
+   * - `{ "action": { "command": "core:open-layers", "options": {...} } }` - one editor command to run
+   * - `{ "actions": [...] }` - one or more editor commands, run in order once the response is complete
+   * - `{ "error": "message" }` - aborts the stream with an error
+   * - `{ "done": true }` - end of the stream
+   * Any other field is copied as-is onto the aggregated response.
+   *
+   * @param {AsyncIterable<Object>} events - Parsed stream events
+   * @param {Object} handlers - Optional progress callbacks
+   * @param {Function} handlers.onReply - Called with (chunk, fullReply) for each reply chunk
+   * @param {Function} handlers.onModification - Called with (id, html) for each completed modification
+   * @param {Function} handlers.onOperation - Called with (operation) for each completed operation
+   * @param {Function} handlers.onStyle - Called with (change) for each completed style change
+   * @returns {Promise<Object>} - Aggregated response with reply and modifications
+   */
+  const consumeStream = async (events, handlers = {}) => {
+    const result = {
+      reply: '',
+      modifications: {},
+      operations: [],
+      styles: [],
+      streamed: true
+    };
+
+    const addModification = (id, html) => {
+      if (!id || typeof html !== 'string') return;
+      result.modifications[id] = html;
+      handlers.onModification?.(id, html);
+    };
+
+    const addOperation = (operation) => {
+      if (!operation || typeof operation !== 'object') return;
+      result.operations.push(operation);
+      handlers.onOperation?.(operation);
+    };
+
+    const addStyle = (change) => {
+      if (!change || typeof change !== 'object') return;
+      result.styles.push(change);
+      handlers.onStyle?.(change);
+    };
+
+    for await (const event of events) {
+      if (!event || typeof event !== 'object') continue;
+
+      Object.entries(event).forEach(([key, value]) => {
+        if (key === 'reply') {
+          if (typeof value !== 'string' || !value) return;
+          result.reply += value;
+          handlers.onReply?.(value, result.reply);
+        } else if (key === 'modification') {
+          addModification(value?.id, value?.html);
+        } else if (key === 'modifications') {
+          Object.entries(value || {}).forEach(([id, html]) => addModification(id, html));
+        } else if (key === 'operation') {
+          addOperation(value);
+        } else if (key === 'operations') {
+          (Array.isArray(value) ? value : []).forEach(addOperation);
+        } else if (key === 'style') {
+          addStyle(value);
+        } else if (key === 'styles') {
+          (Array.isArray(value) ? value : []).forEach(addStyle);
+        } else if (key === 'toolCall' || key === 'toolCalls') {
+          const calls = key === 'toolCall' ? [value] : (Array.isArray(value) ? value : []);
+          result.toolCalls = [...(result.toolCalls || []), ...calls.filter(Boolean)];
+        } else if (key === 'action' || key === 'actions') {
+          const actions = key === 'action' ? [value] : (Array.isArray(value) ? value : []);
+          result.actions = [...(result.actions || []), ...actions.filter(Boolean)];
+        } else if (key === 'error') {
+          throw new Error(typeof value === 'string' ? value : value?.message || 'Stream error');
+        } else if (key !== 'done') {
+          result[key] = value;
+        }
+      });
+
+      if (event.done) break;
+    }
+
+    return result;
+  };
 
   /**
-   * Sends a message to the AI API
+   * Sends a message to the AI API through the configured transport.
+   * Plain responses are returned as-is. Streamed responses (an AsyncIterable
+   * of events, e.g. from `text/event-stream` or `application/x-ndjson`
+   * bodies) are consumed incrementally, reporting progress through the handlers.
+   *
+   * When a response carries `toolCalls`, the tools are run against the
+   * editor and their results posted back (see sendWithTools) until a
+   * response without tool calls arrives.
    * @param {string} message - The user's message
    * @param {string[]} componentIds - Array of selected component IDs
    * @param {Object[]} history - Conversation history
+   * @param {Object} options - Optional request options
+   * @param {AbortSignal} options.signal - Signal used to cancel the request
+   * @param {Function} options.onReply - Streaming callback (see consumeStream)
+   * @param {Function} options.onModification - Streaming callback (see consumeStream)
+   * @param {Function} options.onOperation - Streaming callback (see consumeStream)
+   * @param {Function} options.onStyle - Streaming callback (see consumeStream)
+   * @param {Function} options.onRetry - Called with ({ attempt, maxAttempts, delay, error })
+   *   before each retry
+   * @param {string} options.summary - Rolling summary of the turns no longer sent
+   * @param {Function} options.onContext - Called with what fits in the context budget
+   *   (see the history module) before sending
+   * @param {Function} options.onToolCalls - Called with (toolCalls, round) before running tools
+   * @param {string} options.intent - What the message asks for, when not page changes
+   *   ('block' to generate a block, 'page' to generate a whole page)
    * @returns {Promise<Object>} - API response with reply and modifications
    */
-  const sendMessage = async (message, componentIds = [], history = []) => {
-    if (!apiEndpoint) {
+  const sendMessage = async (message, componentIds = [], history = [], options = {}) => {
+    if (!transport) {
       throw new Error('API endpoint not configured. Please set the "api" option.');
     }
 
-    // Gather component data for context
+    // Gather component data for context (HTML, CSS rules, type, traits, ancestors, ...)
     const componentData = {};
-    componentIds.forEach((id) => {
+    for (const id of componentIds) {
       const component = findComponentById(id);
       if (component) {
-        componentData[id] = component.toHTML();
+        componentData[id] = await contextModule.buildContext(component);
+      }
+    }
+
+    // Fit history and component data into the context budget
+    // (cancelled and summarized turns are not sent back as context)
+    const context = historyModule.fit({ message, componentData, history, summary: options.summary });
+    if (options.onContext) {
+      options.onContext(context);
+    }
+
+    // componentData keeps each component's HTML as a plain string;
+    // the rest of its context goes under componentContext
+    const htmlData = {};
+    const componentContext = {};
+    Object.entries(context.componentData).forEach(([id, { html, ...rest }]) => {
+      htmlData[id] = html || '';
+      if (Object.keys(rest).length) {
+        componentContext[id] = rest;
       }
     });
 
     // Build request payload
     const payload = {
-      history: history.map((msg) => ({
-        role: msg.role,
-        content: msg.content,
-        components: msg.components || []
-      })),
+      history: context.history,
       message: message,
       components: componentIds,
-      componentData: componentData
+      componentData: htmlData,
+      stream: streamEnabled
     };
 
-    try {
-      const response = await fetch(apiEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          ...customHeaders
-        },
-        body: JSON.stringify(payload)
-      });
+    if (Object.keys(componentContext).length) {
+      payload.componentContext = componentContext;
+    }
+
+    if (options.intent) {
+      payload.intent = options.intent;
+    }
+
+    // Rolling summary: the current one, and the turns to fold into it
+    if (options.summary) {
+      payload.summary = options.summary;
+    }
+    if (context.summarize.length) {
+      payload.summarize = context.summarize.map(historyModule.toPayloadMessage);
+    }
+
+    // Tools the backend may call to query the editor
+    if (toolCalling) {
+      payload.tools = toolsModule.getDefinitions();
+    }
+
+    // Editor commands the backend may run through `actions`
+    if (actionsModule.enabled) {
+      payload.commands = actionsModule.getAvailable();
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API error (${response.status}): ${errorText || 'Unknown error'}`);
+    return toolCalling ? sendWithTools(payload, options) : request(payload, options);
+  };
+
+  /**
+   * Runs the tool-calling loop: sends the payload and, as long as the
+   * response asks for tools, runs them and sends the payload again with
+   * every round so far in `toolRounds` ([{ toolCalls, toolResults }]).
+   *
+   * Changes from every round are merged into the returned response. Once
+   * there is more than one round, each round's changes are also reported
+   * through the streaming handlers as soon as it completes, so later tool
+   * calls see them; the merged response is then flagged as `streamed`.
+   * @param {Object} payload - Request payload
+   * @param {Object} options - Request options (see sendMessage)
+   * @returns {Promise<Object>} - Merged API response
+   */
+  const sendWithTools = async (payload, options = {}) => {
+    const toolRounds = [];
+    let merged = null;
+
+    for (let round = 1; ; round++) {
+      const response = await request(toolRounds.length ? { ...payload, toolRounds } : payload, options);
+      const toolCalls = Array.isArray(response.toolCalls) ? response.toolCalls : [];
+
+      // A single round is returned untouched
+      if (round === 1 && !toolCalls.length) {
+        return response;
+      }
+
+      // Plain responses haven't gone through the handlers yet
+      if (!response.streamed) {
+        Object.entries(response.modifications || {}).forEach(([id, html]) => options.onModification?.(id, html));
+        (Array.isArray(response.operations) ? response.operations : []).forEach((op) => options.onOperation?.(op));
+        (Array.isArray(response.styles) ? response.styles : []).forEach((change) => options.onStyle?.(change));
+      }
+
+      merged = mergeResponses(merged, response);
+
+      if (!toolCalls.length) break;
+      // No follow-up request past the limit
+      if (round >= maxToolRounds) {
+        throw new Error(`The assistant kept calling tools after ${maxToolRounds} rounds.`);
       }
 
-      const data = await response.json();
-      return data;
+      options.onToolCalls?.(toolCalls, round);
+      const toolResults = await toolsModule.execute(toolCalls);
+      toolRounds.push({ toolCalls, toolResults });
+    }
+
+    delete merged.toolCalls;
+    return merged;
+  };
+
+  /**
+   * Merges the response of a tool-calling round into the previous ones
+   * @param {Object|null} merged - Responses merged so far
+   * @param {Object} response - Response of the latest round
+   * @returns {Object} - Merged response
+   */
+  const mergeResponses = (merged, response) => {
+    const { reply, modifications, operations, styles, actions, ...rest } = response;
+    const result = merged || { reply: '', modifications: {}, operations: [], styles: [], actions: [] };
+
+    return {
+      ...result,
+      ...rest,
+      reply: reply || result.reply,
+      modifications: { ...result.modifications, ...(modifications || {}) },
+      operations: [...result.operations, ...(Array.isArray(operations) ? operations : [])],
+      styles: [...result.styles, ...(Array.isArray(styles) ? styles : [])],
+      actions: [...result.actions, ...(Array.isArray(actions) ? actions : [])],
+      streamed: true
+    };
+  };
+
+  /**
+   * Sends a single request through the transport.
+   *
+   * The request fails with an `AbortError` when `options.signal` is aborted,
+   * and with a `TimeoutError` when the `timeout` option elapses without a
+   * response (or, while streaming, without a new event). The timeout covers
+   * each attempt on its own.
+   *
+   * Failed attempts (timed out ones included) are retried according to the
+   * `retry` option, as long as no stream event has been consumed.
+   * @param {Object} payload - Request payload
+   * @param {Object} options - Request options (see sendMessage)
+   * @returns {Promise<Object>} - API response
+   */
+  const request = async (payload, options = {}) => {
+    const { signal } = options;
+
+    // Once a stream event has been consumed, a failure can no longer be retried
+    let streamStarted = false;
+
+    /**
+     * Performs a single request attempt through the transport, cancelled
+     * either from the caller's signal or on its own timeout
+     */
+    const attemptRequest = async () => {
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      let timer = null;
+      let timedOut = false;
+
+      const armTimeout = () => {
+        if (!requestTimeout) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, requestTimeout);
+      };
+
+      signal?.addEventListener('abort', onAbort);
+      armTimeout();
+
+      try {
+        const result = await transport.send(payload, { signal: controller.signal });
+
+        if (result && typeof result[Symbol.asyncIterator] === 'function') {
+          // Restart the timeout on every event so long streams are not cut off
+          return await consumeStream(tapStream(result, () => {
+            streamStarted = true;
+            armTimeout();
+          }), options);
+        }
+
+        return result || {};
+      } catch (error) {
+        if (timedOut) {
+          throw createError('TimeoutError', `Request timed out after ${requestTimeout / 1000}s.`);
+        }
+        if (controller.signal.aborted) {
+          throw createError('AbortError', 'Request cancelled.');
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    };
+
+    if (signal?.aborted) {
+      throw createError('AbortError', 'Request cancelled.');
+    }
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await attemptRequest();
+        } catch (error) {
+          const delay = signal?.aborted || streamStarted ? null : retryModule.getRetryDelay(error, attempt);
+          if (delay === null) throw error;
+
+          options.onRetry?.({
+            attempt: attempt + 1,
+            maxAttempts: retryModule.policy.maxAttempts,
+            delay,
+            error
+          });
+          await wait(delay, signal);
+        }
+      }
     } catch (error) {
+      if (signal?.aborted) {
+        throw createError('AbortError', 'Request cancelled.');
+      }
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
         throw new Error('Network error. Please check your connection and try again.');
       }
@@ -67,137 +425,291 @@ export default (editor, opts = {}) => {
   };
 
   /**
-   * Finds a component by its ID (cid) in the editor
+   * Finds a component by its persistent id (see the references module),
+   * id attribute or cid
    * @param {string} id - Component ID
    * @returns {Object|null} - GrapesJS component or null
    */
-  const findComponentById = (id) => {
-    const wrapper = editor.getWrapper();
-    if (!wrapper) return null;
+  const findComponentById = (id) => referencesModule.find(id);
 
-    // Search recursively through all components
-    const findInComponents = (components) => {
-      for (const component of components.models || []) {
-        if (component.cid === id || component.getId() === id) {
-          return component;
-        }
-        // Search in children
-        const found = findInComponents(component.components());
-        if (found) return found;
+  /**
+   * Replaces the content of a component with new HTML.
+   * If the HTML is a single element with the component's own tag, its
+   * attributes are merged into the component (keeping the original id)
+   * and its inner HTML becomes the new content.
+   * @param {Object} component - GrapesJS component
+   * @param {string} newHtml - New HTML content
+   */
+  const replaceContent = (component, newHtml) => {
+    const references = referencesModule.snapshot(component, { children: true });
+
+    // Clear existing children and replace with new content
+    component.components().reset();
+
+    // Parse new HTML and determine how to apply it
+    if (newHtml.trim()) {
+      // Check if the new HTML is a full element replacement or just inner content
+      const tempDiv = document.createElement('div');
+      tempDiv.innerHTML = newHtml.trim();
+
+      const firstChild = tempDiv.firstElementChild;
+      
+      if (firstChild && tempDiv.children.length === 1 && 
+          firstChild.tagName.toLowerCase() === component.get('tagName')?.toLowerCase()) {
+        // Full element replacement - merge attributes and use inner content
+        const newAttrs = {};
+        Array.from(firstChild.attributes).forEach((attr) => {
+          if (attr.name !== 'id') { // Preserve original ID
+            newAttrs[attr.name] = attr.value;
+          }
+        });
+        
+        // Merge attributes (new ones take precedence, but keep original ID)
+        const attributes = component.getAttributes();
+        component.setAttributes({ ...attributes, ...newAttrs, id: attributes.id });
+        
+        // Set inner content
+        component.components(firstChild.innerHTML);
+      } else {
+        // Inner content only
+        component.components(newHtml);
       }
-      return null;
-    };
+    }
+
+    // Children referenced in the chat keep their ids when the new content has the same structure
+    referencesModule.migrate(references, component);
 
-    // Check wrapper itself
-    if (wrapper.cid === id || wrapper.getId() === id) {
-      return wrapper;
+    // The view re-renders and the UndoManager records the changes through
+    // the model events, so no manual render or change event is needed
+  };
+
+  /**
+   * Gets the parent collection of a component, for operations that
+   * act on its position in the tree
+   * @param {Object} component - GrapesJS component
+   * @param {string} op - Operation name, for the error message
+   * @returns {Object} - Parent component
+   */
+  const requireParent = (component, op) => {
+    const parent = component.parent();
+    if (!parent) {
+      throw new Error(`Cannot ${op} a component without a parent`);
     }
+    return parent;
+  };
 
-    return findInComponents(wrapper.components());
+  /**
+   * Adds HTML next to a component, in its parent
+   * @param {Object} component - Reference component
+   * @param {string} html - HTML to insert
+   * @param {number} offset - 0 to insert before, 1 to insert after
+   * @returns {Object[]} - Added components
+   */
+  const insertSibling = (component, html, offset) => {
+    const parent = requireParent(component, 'insert next to');
+    return [].concat(parent.components().add(html, { at: component.index() + offset }));
   };
 
   /**
-   * Applies HTML modifications to components
-   * @param {Object} modifications - Map of component IDs to new HTML
+   * Operation handlers, keyed by `op`. Each receives the target component
+   * and the operation, and returns the components it created or changed.
+   */
+  const operationHandlers = {
+    // Replace the inner content (same as the `modifications` shorthand)
+    replace: (component, { html = '' }) => {
+      replaceContent(component, html);
+      return [component];
+    },
+
+    // Replace the whole component, including its own tag
+    replaceOuter: (component, { html = '' }) => {
+      requireParent(component, 'replace');
+      const references = referencesModule.snapshot(component);
+      const components = [].concat(component.replaceWith(html));
+      referencesModule.migrate(references, components[0]);
+      return components;
+    },
+
+    insertBefore: (component, { html = '' }) => insertSibling(component, html, 0),
+
+    insertAfter: (component, { html = '' }) => insertSibling(component, html, 1),
+
+    // Add content at the end of the component's children
+    append: (component, { html = '' }) => [].concat(component.append(html)),
+
+    remove: (component) => {
+      requireParent(component, 'remove');
+      component.remove();
+      return [];
+    },
+
+    // Move the component relative to another one:
+    // position is 'before', 'after', 'prepend' or 'append' (default)
+    move: (component, { target: targetId, position = 'append' }) => {
+      requireParent(component, 'move');
+      const target = findComponentById(targetId);
+      if (!target) {
+        throw new Error(`Target component "${targetId}" not found`);
+      }
+
+      // A component can't be moved inside itself
+      for (let node = target; node; node = node.parent()) {
+        if (node === component) {
+          throw new Error('Cannot move a component inside itself');
+        }
+      }
+
+      let destination = target;
+      let at;
+      if (position === 'before' || position === 'after') {
+        destination = requireParent(target, `move ${position}`);
+      } else if (position !== 'append' && position !== 'prepend') {
+        throw new Error(`Unknown move position "${position}"`);
+      }
+
+      component.remove({ temporary: true });
+
+      // Compute the index after removal, in case both share the same parent
+      if (position === 'before' || position === 'after') {
+        at = target.index() + (position === 'after' ? 1 : 0);
+      } else if (position === 'prepend') {
+        at = 0;
+      }
+
+      destination.components().add(component, at === undefined ? {} : { at });
+      return [component];
+    },
+
+    // Wrap the component in a new element, e.g. `<section class="hero"></section>`
+    wrap: (component, { html = '' }) => {
+      const parent = requireParent(component, 'wrap');
+      const [wrapper] = [].concat(parent.components().add(html, { at: component.index() }));
+      if (!wrapper) {
+        throw new Error('Wrapper HTML must contain an element');
+      }
+
+      component.remove({ temporary: true });
+      wrapper.append(component);
+      return [wrapper];
+    }
+  };
+
+  /**
+   * Applies an ordered list of operations to the component tree.
+   * Each operation is `{ op, id, ... }` where `op` is one of: replace,
+   * replaceOuter, insertBefore, insertAfter, append, remove, move, wrap.
+   * Operations run in order, so later ones see the result of earlier ones;
+   * a failing operation is reported and the next ones still run.
+   * HTML is sanitized first; whatever the policy removed is listed in `removed`.
+   * @param {Object[]} operations - Operations to apply
+   * @param {Object} options - Options
+   * @param {Object} options.transaction - Undo transaction to record the changes in
+   * @returns {Object} - { success: [{ id, op, components }], failed: [{ id, op, error }], removed: [...] }
    */
-  const applyModifications = (modifications) => {
+  const applyOperations = (operations = [], options = {}) => {
     const results = {
       success: [],
-      failed: []
+      failed: [],
+      removed: []
     };
 
-    Object.entries(modifications).forEach(([id, newHtml]) => {
-      try {
-        const component = findComponentById(id);
-        
-        if (!component) {
-          console.warn(`Component with ID "${id}" not found`);
-          results.failed.push({ id, error: 'Component not found' });
-          return;
-        }
+    // Recorded in the response's transaction, so it is undone as one step
+    undoModule.record(options.transaction, () => {
+      operations.forEach((operation) => {
+        const { op, id } = operation || {};
 
-        // Preserve component type and basic attributes
-        const componentType = component.get('type');
-        const attributes = component.getAttributes();
-        const classes = component.getClasses();
-
-        // Clear existing children and replace with new content
-        component.components().reset();
-
-        // Parse new HTML and determine how to apply it
-        if (newHtml.trim()) {
-          // Check if the new HTML is a full element replacement or just inner content
-          const tempDiv = document.createElement('div');
-          tempDiv.innerHTML = newHtml.trim();
-
-          const firstChild = tempDiv.firstElementChild;
-          
-          if (firstChild && tempDiv.children.length === 1 && 
-              firstChild.tagName.toLowerCase() === component.get('tagName')?.toLowerCase()) {
-            // Full element replacement - merge attributes and use inner content
-            const newAttrs = {};
-            Array.from(firstChild.attributes).forEach((attr) => {
-              if (attr.name !== 'id') { // Preserve original ID
-                newAttrs[attr.name] = attr.value;
-              }
-            });
-            
-            // Merge attributes (new ones take precedence, but keep original ID)
-            component.setAttributes({ ...attributes, ...newAttrs, id: attributes.id });
-            
-            // Set inner content
-            component.components(firstChild.innerHTML);
-          } else {
-            // Inner content only
-            component.components(newHtml);
+        try {
+          const handler = operationHandlers[op];
+          if (!handler) {
+            throw new Error(`Unknown operation "${op}"`);
           }
-        }
 
-        // Restore classes if they were removed
-        // if (classes.length > 0) {
-        //   const currentClasses = component.getClasses();
-        //   classes.forEach((cls) => {
-        //     if (!currentClasses.includes(cls)) {
-        //       component.addClass(cls);
-        //     }
-        //   });
-        // }
-
-        // Trigger re-render
-        if (component.view) {
-          component.view.render();
-        }
+          const component = findComponentById(id);
+        
+          if (!component) {
+            results.failed.push({ id, op, error: 'Component not found' });
+            return;
+          }
 
-        // Trigger change event for undo stack
-        try {
-          component.trigger('change');
-        } catch (err) {
-          console.warn(`Post-update event error for component "${id}":`, err);
-        }
+          const { html, removed } = sanitizer.sanitizeHtml(operation.html);
+          results.removed.push(...removed.map((item) => ({ ...item, id })));
 
-        results.success.push({ id, component });
-        console.log(`Successfully updated component "${id}"`);
+          const components = handler(component, { ...operation, html });
 
-      } catch (error) {
-        console.error(`Failed to update component "${id}":`, error);
-        results.failed.push({ id, error: error.message });
-      }
+          results.success.push({ id, op, component, components });
+        } catch (error) {
+          console.error(`Failed to apply "${op}" to component "${id}":`, error);
+          results.failed.push({ id, op, error: error.message });
+        }
+      });
     });
 
-    // Log summary
-    if (results.success.length > 0) {
-      console.log(`Updated ${results.success.length} component(s)`);
-    }
-    if (results.failed.length > 0) {
-      console.warn(`Failed to update ${results.failed.length} component(s)`);
-    }
-
     // Trigger canvas refresh
     editor.refresh();
 
     return results;
   };
 
+  /**
+   * Applies HTML modifications to components.
+   * Shorthand for `replace` operations: maps component IDs to new HTML.
+   * @param {Object} modifications - Map of component IDs to new HTML
+   * @param {Object} options - Options (see applyOperations)
+   * @returns {Object} - { success: [...], failed: [...] }
+   */
+  const applyModifications = (modifications = {}, options = {}) => {
+    return applyOperations(
+      Object.entries(modifications).map(([id, html]) => ({ op: 'replace', id, html })),
+      options
+    );
+  };
+
+  /**
+   * Applies style changes through the CssComposer, after sanitizing their values
+   * @param {Object[]} styles - Style changes (see the CSS module)
+   * @param {Object} options - Options (see applyOperations)
+   * @returns {Object} - { success: [...], failed: [...], removed: [...] }
+   */
+  const applyStyles = (styles = [], options = {}) => {
+    const removed = [];
+    const sanitized = styles.map((change) => {
+      const result = sanitizer.sanitizeStyle(change);
+      removed.push(...result.removed);
+      return result.change;
+    }).filter(Boolean);
+
+    const results = undoModule.record(options.transaction, () => cssModule.applyStyles(sanitized));
+    results.removed = removed;
+    editor.refresh();
+    return results;
+  };
+
+  /**
+   * Applies all changes carried by an API response: the `modifications`
+   * shorthand first, then the `operations` list in order, then `styles`
+   * @param {Object} response - API response
+   * @param {Object} options - Options (see applyOperations)
+   * @returns {Object} - Combined { success: [...], failed: [...], removed: [...] }
+   */
+  const applyResponse = (response = {}, options = {}) => {
+    const operations = [
+      ...Object.entries(response.modifications || {}).map(([id, html]) => ({ op: 'replace', id, html })),
+      ...(Array.isArray(response.operations) ? response.operations : [])
+    ];
+    const results = operations.length
+      ? applyOperations(operations, options)
+      : { success: [], failed: [], removed: [] };
+
+    if (Array.isArray(response.styles) && response.styles.length) {
+      const styleResults = applyStyles(response.styles, options);
+      results.success.push(...styleResults.success);
+      results.failed.push(...styleResults.failed);
+      results.removed.push(...styleResults.removed);
+    }
+
+    return results;
+  };
+
   /**
    * Gets the HTML content of a component by ID
    * @param {string} id - Component ID
@@ -209,9 +721,22 @@ export default (editor, opts = {}) => {
   };
 
   return {
+    transport,
+    css: cssModule,
+    undo: undoModule,
+    sanitizer,
+    tools: toolsModule,
+    actions: actionsModule,
+    references: referencesModule,
+    context: contextModule,
+    history: historyModule,
     sendMessage,
+    consumeStream,
     findComponentById,
     applyModifications,
+    applyOperations,
+    applyStyles,
+    applyResponse,
     getComponentHtml
   };
 };
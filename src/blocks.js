@@ -1,12 +1,221 @@
 /**
  * Blocks Module for GrapesJS AI Agent Plugin
- * 
- * This plugin provides an AI assistant interface and does not add
- * any blocks to the editor. This file is kept for consistency with
- * the standard GrapesJS plugin structure.
+ * Saves AI-modified components as blocks and adds the blocks the
+ * assistant generates to the BlockManager, persisted with the project
  */
 
+import loadCss from './css';
+import loadSanitizer from './sanitizer';
+
+// Media shown for blocks saved from components
+const blockIcon = `
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" xmlns="http://www.w3.org/2000/svg">
+    <rect x="3" y="4" width="18" height="16" rx="2"/><path d="M3 9h18M8 14h8"/>
+  </svg>
+`;
+
+// Key of the saved blocks in the project data
+const PROJECT_KEY = 'aiBlocks';
+
 export default (editor, opts = {}) => {
-  // This plugin does not add blocks
-  // The AI assistant is accessed via the FAB and component toolbar
+  const pfx = opts.classPrefix || 'gaia';
+  const config = opts.blocks || {};
+  const enabled = opts.blocks !== false;
+  const category = config.category || 'AI';
+  const cssModule = loadCss(editor, opts);
+  const sanitizer = loadSanitizer(editor, opts);
+
+  // Definitions of the blocks added by the plugin, as stored in the project
+  let saved = [];
+
+  /**
+   * Creates a block id that is not used yet
+   * @returns {string}
+   */
+  const createId = () => {
+    let index = saved.length + 1;
+    while (editor.Blocks.get(`${pfx}-block-${index}`)) {
+      index++;
+    }
+    return `${pfx}-block-${index}`;
+  };
+
+  /**
+   * Counts a change to the project, so the storage saves the blocks
+   */
+  const markDirty = () => {
+    editor.getModel().changesUp?.({});
+  };
+
+  /**
+   * Converts a sanitized style change to CSS text
+   * @param {Object} change - { selector, state, media, style }
+   * @returns {string}
+   */
+  const styleToCss = ({ selector, state, media, style = {} }) => {
+    const declarations = Object.entries(style)
+      .filter(([, value]) => value !== null && value !== '')
+      .map(([prop, value]) => `${prop}:${value};`)
+      .join('');
+    const rule = `${selector}${state ? `:${state.replace(/^:+/, '')}` : ''}{${declarations}}`;
+    return media ? `@media ${media}{${rule}}` : rule;
+  };
+
+  /**
+   * Registers a block definition in the BlockManager
+   * @param {Object} definition - { id, label, media, content, css }
+   */
+  const register = ({ id, label, media, content, css }) => {
+    editor.Blocks.add(id, {
+      label,
+      media,
+      category,
+      content: css ? `${content}<style>${css}</style>` : content,
+      attributes: { class: `${pfx}-block` }
+    });
+  };
+
+  /**
+   * Adds a block definition and keeps it for the project data
+   * @param {Object} definition - { label, media, content, css }
+   * @returns {Object} - The stored definition, with its id
+   */
+  const add = (definition) => {
+    const stored = { ...definition, id: createId() };
+    saved.push(stored);
+    register(stored);
+    markDirty();
+    return stored;
+  };
+
+  /**
+   * Saves a component as a block, with its HTML and the CSS rules of its subtree
+   * @param {Object} component - GrapesJS component
+   * @param {Object} options - Options
+   * @param {string} options.label - Block label (the component name by default)
+   * @returns {Object|null} - The stored definition, or null when disabled
+   */
+  const saveComponent = (component, options = {}) => {
+    if (!enabled || !component) return null;
+
+    const rules = new Set();
+    const collect = (cmp) => {
+      cssModule.getComponentRules(cmp).forEach((rule) => rules.add(rule));
+      cmp.components().forEach(collect);
+    };
+    collect(component);
+
+    return add({
+      label: options.label || component.getName(),
+      media: blockIcon,
+      content: component.toHTML(),
+      css: Array.from(rules).map((rule) => rule.toCSS()).filter(Boolean).join('')
+    });
+  };
+
+  /**
+   * Adds a block generated by the assistant (the `block` field of a response),
+   * after sanitizing its content, media and styles
+   * @param {Object} block - { label, media, content, styles }
+   * @returns {Object} - { block: stored definition or null, removed: sanitized items }
+   */
+  const addGenerated = (block) => {
+    if (!enabled || !block || typeof block.content !== 'string') {
+      return { block: null, removed: [] };
+    }
+
+    const removed = [];
+    const content = sanitizer.sanitizeHtml(block.content);
+    removed.push(...content.removed);
+
+    let media = blockIcon;
+    if (typeof block.media === 'string' && block.media.trim()) {
+      const sanitizedMedia = sanitizer.sanitizeHtml(block.media);
+      removed.push(...sanitizedMedia.removed);
+      media = sanitizedMedia.html;
+    }
+
+    // Id-scoped changes refer to components on the page, so only selectors are kept
+    // The sanitizer drops malformed rules and declarations, so they can't close the style element
+    const css = (Array.isArray(block.styles) ? block.styles : [])
+      .filter((change) => change && typeof change.selector === 'string' && !change.id && !change.remove)
+      .map((change) => {
+        const result = sanitizer.sanitizeStyle(change);
+        removed.push(...result.removed);
+        return result.change ? styleToCss(result.change) : '';
+      })
+      .join('');
+
+    const stored = add({
+      label: typeof block.label === 'string' && block.label.trim() ? block.label.trim() : 'AI block',
+      media,
+      content: content.html,
+      css
+    });
+    return { block: stored, removed };
+  };
+
+  /**
+   * Removes a block added by the plugin
+   * @param {string} id - Block id
+   */
+  const remove = (id) => {
+    const index = saved.findIndex((block) => block.id === id);
+    if (index < 0) return;
+    saved.splice(index, 1);
+    editor.Blocks.remove(id);
+    markDirty();
+  };
+
+  /**
+   * Gets the blocks added by the plugin
+   * @returns {Object[]} - Stored definitions
+   */
+  const getAll = () => [...saved];
+
+  /**
+   * Restores the blocks saved with a loaded project
+   * @param {Object} data - Event data of `project:load`
+   */
+  const handleProjectLoad = ({ project }) => {
+    saved.forEach((block) => editor.Blocks.remove(block.id));
+    saved = Array.isArray(project?.[PROJECT_KEY]) ? project[PROJECT_KEY].filter((block) => block?.id) : [];
+    saved.forEach(register);
+  };
+
+  /**
+   * Adds the saved blocks to the project data
+   * @param {Object} data - Event data of `project:get`
+   */
+  const handleProjectGet = ({ project }) => {
+    if (saved.length) {
+      project[PROJECT_KEY] = saved.map((block) => ({ ...block }));
+    }
+  };
+
+  /**
+   * Registers the command saving the selected component as a block
+   */
+  const registerCommand = () => {
+    editor.Commands.add(`${pfx}:save-as-block`, {
+      run(editor, sender, options = {}) {
+        return saveComponent(options.component || editor.getSelected(), options);
+      }
+    });
+  };
+
+  if (enabled) {
+    editor.on('project:load', handleProjectLoad);
+    editor.on('project:get', handleProjectGet);
+    registerCommand();
+  }
+
+  return {
+    enabled,
+    category,
+    saveComponent,
+    addGenerated,
+    remove,
+    getAll
+  };
 };
@@ -3,6 +3,11 @@
  * Creates and manages the chatbot interface UI
  */
 
+import { describeRemoved } from './sanitizer';
+import loadMarkdown from './markdown';
+import loadMentions from './mentions';
+import loadPrompts from './prompts';
+
 // SVG icons
 const closeIcon = `
   <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
@@ -16,27 +21,101 @@ const sendIcon = `
   </svg>
 `;
 
+const stopIcon = `
+  <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+    <rect x="6" y="6" width="12" height="12" rx="2"/>
+  </svg>
+`;
+
 const removeIcon = `
   <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
     <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
   </svg>
 `;
 
+const blockIcon = `
+  <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+    <path d="M4 4h7v7H4zM13 4h7v7h-7zM4 13h7v7H4zM16 13h2v3h3v2h-3v3h-2v-3h-3v-2h3z"/>
+  </svg>
+`;
+
+const pageIcon = `
+  <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+    <path d="M6 2h9l5 5v13a2 2 0 01-2 2H6a2 2 0 01-2-2V4a2 2 0 012-2zm8 1.5V8h4.5zM8 12v2h8v-2zm0 4v2h5v-2z"/>
+  </svg>
+`;
+
+const threadsIcon = `
+  <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+    <path d="M4 4h16a2 2 0 012 2v9a2 2 0 01-2 2H8l-4 4zM7 8v2h10V8zm0 4v2h7v-2z"/>
+  </svg>
+`;
+
+// Placeholders of the input, by intent of the next message
+const intentPlaceholders = {
+  block: 'Describe the block to generate...',
+  page: 'Describe the page to generate...'
+};
+
+// Labels of the outcomes of the components of a batch
+const batchStatusLabels = {
+  changed: 'changed',
+  review: 'waiting for review',
+  unchanged: 'unchanged',
+  error: 'failed',
+  cancelled: 'cancelled',
+  skipped: 'skipped'
+};
+
 const emptyIcon = `
   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" stroke-linecap="round" stroke-linejoin="round" xmlns="http://www.w3.org/2000/svg">
     <g><path d="M6 6h12a2.25 2.25 0 012.25 2.25v7.5A2.25 2.25 0 0118 18h-6l-4 3 0-3H6a2.25 2.25 0 01-2.25-2.25v-7.5A2.25 2.25 0 016 6zM12 3v3M9 3h6M8.25 12a.75.75 0 110-1.5.75.75 0 010 1.5zM15.75 12a.75.75 0 110-1.5.75.75 0 010 1.5zM9 15h6"></path></g>
   </svg>
 `;
 
-export default (editor, opts = {}, state, fabModule, apiModule) => {
+export default (editor, opts = {}, state, fabModule, apiModule, reviewModule, blocksModule, pagesModule, threadsModule, slashModule) => {
   const pfx = opts.classPrefix || 'gaia';
+  const markdownModule = loadMarkdown(editor, opts);
+  const mentionsModule = loadMentions(editor, opts, apiModule);
+  const promptsModule = loadPrompts(editor, opts, apiModule);
+  const batchLimit = opts.batch?.maxComponents || 50;
   
   let panel = null;
   let messagesContainer = null;
   let badgesContainer = null;
+  let threadsContainer = null;
+  let quickActionsContainer = null;
   let inputEl = null;
   let submitBtn = null;
 
+  // Controller for the in-flight request, used by the stop button
+  let requestController = null;
+
+  // Progress of automatic retries for the in-flight request ({ attempt, maxAttempts })
+  let retryStatus = null;
+
+  // Names of the tools the backend is running, shown while loading
+  let toolStatus = null;
+
+  // Progress of the running batch ({ index, total }), shown while loading
+  let batchStatus = null;
+
+  // What the next message asks for instead of page changes ('block' or 'page')
+  let intentMode = null;
+
+  // Thread whose conversation is shown
+  let shownThreadId = state.threadId;
+
+  // User message being edited, and why resending it failed
+  let editingMessage = null;
+  let editError = null;
+
+  // Component highlighted from a component label in the chat
+  let highlighted = null;
+
+  // Content node of the message being streamed ({ msg, node }), updated on each chunk
+  let streamingContent = null;
+
   /**
    * Creates the chatbot panel and injects it into the DOM
    */
@@ -46,11 +125,21 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
 
     panel.innerHTML = `
       <div class="${pfx}-header">
-        <h3 class="${pfx}-header-title">${opts.chatTitle || 'AI Assistant'}</h3>
-        <button class="${pfx}-close-btn" aria-label="Close">${closeIcon}</button>
+        <div class="${pfx}-header-info">
+          <h3 class="${pfx}-header-title">${opts.chatTitle || 'AI Assistant'}</h3>
+          <div class="${pfx}-header-thread"></div>
+        </div>
+        <div class="${pfx}-header-actions">
+          <button class="${pfx}-header-btn ${pfx}-threads-btn" aria-label="Threads" title="Threads">${threadsIcon}</button>
+          ${pagesModule?.enabled ? `<button class="${pfx}-header-btn ${pfx}-generate-page-btn" data-intent="page" aria-label="Generate a page" title="Generate a page">${pageIcon}</button>` : ''}
+          ${blocksModule?.enabled ? `<button class="${pfx}-header-btn ${pfx}-generate-block-btn" data-intent="block" aria-label="Generate a block" title="Generate a block">${blockIcon}</button>` : ''}
+          <button class="${pfx}-close-btn" aria-label="Close">${closeIcon}</button>
+        </div>
       </div>
+      <div class="${pfx}-threads" hidden></div>
       <div class="${pfx}-messages"></div>
       <div class="${pfx}-badges"></div>
+      <div class="${pfx}-quick-actions-bar"></div>
       <div class="${pfx}-input-area">
         <textarea class="${pfx}-input" placeholder="${opts.inputPlaceholder || 'Type your message...'}" rows="1"></textarea>
         <button class="${pfx}-submit-btn" aria-label="Submit">${sendIcon}</button>
@@ -60,6 +149,8 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
     // Get references to elements
     messagesContainer = panel.querySelector(`.${pfx}-messages`);
     badgesContainer = panel.querySelector(`.${pfx}-badges`);
+    threadsContainer = panel.querySelector(`.${pfx}-threads`);
+    quickActionsContainer = panel.querySelector(`.${pfx}-quick-actions-bar`);
     inputEl = panel.querySelector(`.${pfx}-input`);
     submitBtn = panel.querySelector(`.${pfx}-submit-btn`);
 
@@ -67,10 +158,28 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
     const closeBtn = panel.querySelector(`.${pfx}-close-btn`);
     closeBtn.addEventListener('click', () => state.togglePanel());
 
-    submitBtn.addEventListener('click', handleSubmit);
+    const threadsBtn = panel.querySelector(`.${pfx}-threads-btn`);
+    threadsBtn.addEventListener('click', () => toggleThreads());
+
+    panel.querySelectorAll('[data-intent]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        setIntentMode(intentMode === btn.dataset.intent ? null : btn.dataset.intent);
+      });
+    });
+
+    submitBtn.addEventListener('click', handleSubmitClick);
     inputEl.addEventListener('keydown', handleKeyDown);
     inputEl.addEventListener('input', autoResizeInput);
 
+    // Typing / at the start lists the slash commands
+    slashModule.attach(inputEl, panel.querySelector(`.${pfx}-input-area`), handleSubmit);
+
+    // Typing @ suggests components to attach
+    mentionsModule.attach(inputEl, panel.querySelector(`.${pfx}-input-area`), (component) => {
+      addComponentBadge(component);
+      autoResizeInput();
+    });
+
     // Inject into editor container
     const editorEl = editor.getContainer();
     if (editorEl) {
@@ -80,6 +189,7 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
     }
 
     // Initial render
+    renderThreads();
     renderMessages();
 
     return panel;
@@ -97,17 +207,112 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
    * Handles keyboard events in the input
    */
   const handleKeyDown = (e) => {
+    if (slashModule.handleKeyDown(e) || mentionsModule.handleKeyDown(e)) return;
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit();
     }
   };
 
+  /**
+   * Shows or hides the thread list
+   * @param {boolean} show - Whether to show it (toggles by default)
+   */
+  const toggleThreads = (show = threadsContainer.hidden) => {
+    threadsContainer.hidden = !show;
+    panel.querySelector(`.${pfx}-threads-btn`).classList.toggle(`${pfx}-header-btn-active`, show);
+    if (show) {
+      renderThreads();
+    }
+  };
+
+  /**
+   * Renders the thread list and the name of the active thread in the header
+   */
+  const renderThreads = () => {
+    if (!panel) return;
+
+    const active = threadsModule.getActive();
+    panel.querySelector(`.${pfx}-header-thread`).textContent = active ? threadsModule.getName(active) : '';
+
+    // Not while a thread is being renamed
+    if (!threadsContainer.hidden && !threadsContainer.contains(document.activeElement)) {
+      threadsContainer.innerHTML = '';
+      threadsContainer.appendChild(threadsModule.renderList(() => toggleThreads(false)));
+    }
+  };
+
+  /**
+   * Shows the conversation of the thread that became active
+   */
+  const handleThreadChange = () => {
+    if (state.threadId !== shownThreadId) {
+      shownThreadId = state.threadId;
+      editingMessage = null;
+      setIntentMode(null);
+      reviewModule?.stopPreview();
+    }
+    renderThreads();
+    renderMessages();
+    renderBadges();
+  };
+
+  /**
+   * Switches the input between page changes and generating a block or a page
+   * @param {string|null} intent - 'block', 'page', or null for page changes
+   */
+  const setIntentMode = (intent) => {
+    intentMode = intent || null;
+    panel.querySelectorAll('[data-intent]').forEach((btn) => {
+      btn.classList.toggle(`${pfx}-header-btn-active`, btn.dataset.intent === intentMode);
+    });
+    inputEl.placeholder = intentPlaceholders[intentMode] || opts.inputPlaceholder || 'Type your message...';
+    if (intentMode) {
+      inputEl.focus();
+    }
+  };
+
+  /**
+   * Handles the submit button, which turns into a stop button while loading
+   */
+  const handleSubmitClick = () => {
+    if (state.isLoading) {
+      cancelRequest();
+    } else {
+      handleSubmit();
+    }
+  };
+
+  /**
+   * Aborts the in-flight request, if any
+   */
+  const cancelRequest = () => {
+    requestController?.abort();
+  };
+
   /**
    * Handles form submission
    */
   const handleSubmit = async () => {
-    const message = inputEl.value.trim();
+    let message = inputEl.value.trim();
+
+    // Slash commands run in the editor. Failed ones stay in the input to be fixed.
+    const ran = await slashModule.run(message);
+    if (ran !== null) {
+      if (ran) {
+        inputEl.value = '';
+        autoResizeInput();
+      }
+      slashModule.close();
+      mentionsModule.close();
+      return;
+    }
+
+    // `//` sends a message starting with `/`
+    if (slashModule.enabled && message.startsWith('//')) {
+      message = message.slice(1);
+    }
     let components = [...state.pendingComponents];
 
     // If no new components selected, use last used components for context continuity
@@ -124,87 +329,726 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
       state.lastUsedComponents = [...components];
     }
 
-    // Add user message to history
-    const userMessage = {
-      role: 'user',
-      content: message,
-      components: components.length > 0 ? components : undefined
-    };
-    state.history.push(userMessage);
-
     // Clear input and badges
     inputEl.value = '';
     autoResizeInput();
+    mentionsModule.close();
     state.pendingComponents = [];
     renderBadges();
+
+    const intent = intentMode || undefined;
+    setIntentMode(null);
+
+    await sendTurn(message, components, { intent });
+  };
+
+  /**
+   * Sends one conversation turn: records the user message, calls the API
+   * and records the assistant reply (or error)
+   * @param {string} message - The user's message
+   * @param {string[]} components - Component IDs to send as context
+   * @param {Object} options - Turn options
+   * @param {string} options.intent - 'block' to ask for a new block, 'page' for a whole page
+   * @param {Object} options.userMessage - User message already in the history to send again
+   *   (when regenerating a reply)
+   * @param {Object} options.batch - Batch the turn belongs to ({ id, index, total })
+   */
+  const sendTurn = async (message, components, options = {}) => {
+    // Add user message to history
+    let userMessage = options.userMessage;
+    if (userMessage) {
+      delete userMessage.aborted;
+      delete userMessage.droppedContext;
+    } else {
+      userMessage = {
+        role: 'user',
+        content: message,
+        components: components.length > 0 ? components : undefined,
+        intent: options.intent,
+        batch: options.batch
+      };
+      state.history.push(userMessage);
+    }
     renderMessages();
 
     // Disable input during submission and show loading indicator
-    // (Must be AFTER renderMessages to avoid being cleared)
     setSubmitting(true);
 
+    // Assistant message that receives streamed reply chunks, created on the first chunk
+    let streamingMessage = null;
+
+    // All changes of this turn are recorded as a single undo step
+    const transaction = apiModule.undo.createTransaction();
+
+    // What fitted in the context budget for this turn
+    let turnContext = null;
+
+    // Items the sanitizer removed from the turn's changes
+    const removed = [];
+
+    // Ids of the components the turn's changes created or changed
+    const changed = [];
+
+    /**
+     * Collects what the sanitizer removed and the components changed while applying changes
+     * @param {Object} results - Results of an apply call
+     */
+    const collectResults = (results) => {
+      removed.push(...(results.removed || []));
+      changed.push(...getChangedIds(results));
+    };
+
+    /**
+     * Links the turn's changes to the message that closes the turn, if any were applied
+     * @param {Object} msg - Assistant message
+     */
+    const attachChanges = (msg) => {
+      if (apiModule.undo.getStatus(transaction) !== 'empty') {
+        msg.transaction = transaction;
+      }
+      if (removed.length) {
+        msg.sanitized = removed;
+      }
+      if (changed.length) {
+        msg.changedComponents = [...new Set(changed)];
+      }
+    };
+
+    requestController = new AbortController();
+
     // Send to API
     try {
-      const response = await apiModule.sendMessage(message, components, state.history);
-      
-      // Add assistant response to history
-      const assistantMessage = {
-        role: 'assistant',
-        content: response.reply || 'I have processed your request.'
-      };
-      state.history.push(assistantMessage);
+      const response = await apiModule.sendMessage(message, components, state.history, {
+        signal: requestController.signal,
+        summary: state.summary,
+        intent: options.intent,
+        onContext: (context) => {
+          turnContext = context;
+          markContext(context, userMessage);
+        },
+        onToolCalls: (toolCalls) => {
+          retryStatus = null;
+          toolStatus = toolCalls.map((call) => call?.name).filter(Boolean);
+          renderMessages();
+        },
+        onRetry: ({ attempt, maxAttempts }) => {
+          retryStatus = { attempt, maxAttempts };
+          renderMessages();
+        },
+        onReply: (chunk, reply) => {
+          if (!streamingMessage) {
+            streamingMessage = { role: 'assistant', content: '', isStreaming: true };
+            state.history.push(streamingMessage);
+          }
+          streamingMessage.content = reply;
+          renderStreamingMessage(streamingMessage);
+        },
+        // Streamed changes are applied as soon as each one completes
+        // (in review mode they are collected and reviewed at the end)
+        onModification: (id, html) => {
+          if (!state.reviewMode) collectResults(apiModule.applyModifications({ [id]: html }, { transaction }));
+        },
+        onOperation: (operation) => {
+          if (!state.reviewMode) collectResults(apiModule.applyOperations([operation], { transaction }));
+        },
+        onStyle: (change) => {
+          if (!state.reviewMode) collectResults(apiModule.applyStyles([change], { transaction }));
+        }
+      });
 
-      // Apply modifications if any
-      if (response.modifications) {
-        apiModule.applyModifications(response.modifications);
+      // The backend folded the turns left out into the rolling summary
+      if (typeof response.summary === 'string' && response.summary) {
+        state.summary = response.summary;
+        (turnContext?.summarize || []).forEach((msg) => {
+          msg.summarized = true;
+          delete msg.trimmed;
+        });
       }
 
-      renderMessages();
+      const reply = response.reply || 'I have processed your request.';
+      let assistantMessage = streamingMessage;
+
+      if (assistantMessage) {
+        assistantMessage.content = reply;
+        delete assistantMessage.isStreaming;
+      } else {
+        // Add assistant response to history
+        assistantMessage = {
+          role: 'assistant',
+          content: reply
+        };
+        state.history.push(assistantMessage);
+      }
+
+      if (state.reviewMode) {
+        // Keep the changes on the message until the user accepts or rejects them
+        const review = reviewModule?.createReview(response);
+        if (review) {
+          review.transaction = transaction;
+          assistantMessage.review = review;
+          // Editor commands wait for the review too
+          if (response.actions) {
+            assistantMessage.pendingActions = response.actions;
+          }
+          if (review.removed.length) {
+            assistantMessage.sanitized = review.removed;
+          }
+        }
+      } else {
+        // Apply modifications, operations and styles (streamed ones were already applied)
+        if (!response.streamed) {
+          collectResults(apiModule.applyResponse(response, { transaction }));
+        }
+        attachChanges(assistantMessage);
+      }
+
+      // Blocks generated by the assistant go to the BlockManager
+      if (response.block && blocksModule) {
+        const generated = blocksModule.addGenerated(response.block);
+        if (generated.block) {
+          assistantMessage.block = generated.block;
+        }
+        if (generated.removed.length) {
+          assistantMessage.sanitized = [...(assistantMessage.sanitized || []), ...generated.removed];
+        }
+      }
+
+      // Generated pages wait for the user to choose where they go,
+      // unless the pages.target option decides it
+      const generatedPage = pagesModule?.createPage(response.page);
+      if (generatedPage) {
+        generatedPage.transaction = transaction;
+        assistantMessage.page = pagesModule.applyDefault(generatedPage);
+        if (generatedPage.removed.length) {
+          assistantMessage.sanitized = [...(assistantMessage.sanitized || []), ...generatedPage.removed];
+        }
+      }
+
+      // Editor commands run once the changes are in place
+      if (!assistantMessage.pendingActions) {
+        assistantMessage.actions = runActions(response.actions);
+      }
     } catch (error) {
       console.error('API Error:', error);
-      
-      // Add error message to history
-      const errorMessage = {
-        role: 'assistant',
-        content: `Error: ${error.message || 'Failed to process request. Please try again.'}`,
-        isError: true
-      };
-      state.history.push(errorMessage);
-      renderMessages();
+
+      // Keep whatever was streamed before the failure
+      if (streamingMessage) {
+        delete streamingMessage.isStreaming;
+        attachChanges(streamingMessage);
+      }
+
+      // Cancelled and timed out turns stay visible but are flagged so they
+      // are not sent back to the API as conversation context
+      const aborted = error.name === 'AbortError' || error.name === 'TimeoutError';
+      if (aborted) {
+        userMessage.aborted = true;
+        if (streamingMessage) {
+          streamingMessage.aborted = true;
+        }
+      }
+
+      let closingMessage;
+      if (error.name === 'AbortError') {
+        closingMessage = {
+          role: 'assistant',
+          content: error.message || 'Request cancelled.',
+          aborted: true
+        };
+      } else {
+        // Add error message to history
+        closingMessage = {
+          role: 'assistant',
+          content: `Error: ${error.message || 'Failed to process request. Please try again.'}`,
+          isError: true,
+          aborted: aborted || undefined
+        };
+      }
+      state.history.push(closingMessage);
+
+      // Changes streamed without any reply text can be undone from the closing message
+      if (!streamingMessage) {
+        attachChanges(closingMessage);
+      }
     } finally {
+      requestController = null;
+      retryStatus = null;
+      toolStatus = null;
       setSubmitting(false);
     }
   };
 
+  /**
+   * Gets the ids of the components an apply call created or changed
+   * @param {Object} results - Results of an apply call
+   * @returns {string[]}
+   */
+  const getChangedIds = (results) => {
+    return (results.success || [])
+      .flatMap((item) => item.components || [])
+      .map((component) => apiModule.references.getRef(component));
+  };
+
+  /**
+   * Saves a component changed by the assistant as a block
+   * @param {Object} msg - Assistant message
+   * @param {Object} component - GrapesJS component
+   */
+  const saveAsBlock = (msg, component) => {
+    const block = blocksModule.saveComponent(component);
+    if (block) {
+      msg.savedBlocks = { ...msg.savedBlocks, [apiModule.references.getRef(component)]: block.label };
+    }
+    rerenderInPlace();
+  };
+
+  /**
+   * Runs the editor commands a response asked for. Commands that need
+   * confirmation wait on the message until the user runs or skips them.
+   * @param {Array} actions - `actions` of the response
+   * @returns {Object[]|undefined} - Action entries to keep on the message
+   */
+  const runActions = (actions) => {
+    const entries = apiModule.actions.prepare(actions);
+    entries.forEach((entry) => {
+      if (entry.status === 'pending') {
+        apiModule.actions.run(entry);
+      }
+    });
+    return entries.length ? entries : undefined;
+  };
+
+  /**
+   * Runs the editor commands held back by a review once it is accepted,
+   * and drops them when it is rejected
+   * @param {Object} msg - Assistant message with the review
+   */
+  const onReviewChange = (msg) => {
+    const { status } = msg.review;
+    if (msg.pendingActions && status !== 'pending') {
+      if (status !== 'rejected') {
+        msg.actions = runActions(msg.pendingActions);
+      }
+      delete msg.pendingActions;
+    }
+    rerenderInPlace();
+  };
+
+  /**
+   * Flags the messages left out of the context budget, so the panel shows
+   * what the assistant no longer sees
+   * @param {Object} context - Result of fitting the history (see the history module)
+   * @param {Object} userMessage - Message of the current turn
+   */
+  const markContext = (context, userMessage) => {
+    state.history.forEach((msg) => {
+      if (context.trimmed.includes(msg)) {
+        msg.trimmed = true;
+      } else {
+        delete msg.trimmed;
+      }
+    });
+
+    if (context.dropped.length) {
+      userMessage.droppedContext = context.dropped;
+    }
+  };
+
+  /**
+   * Undoes the changes an assistant message applied
+   * @param {Object} msg - Assistant message
+   * @param {Object} transaction - Undo transaction of the message
+   */
+  const undoChange = (msg, transaction) => {
+    const result = apiModule.undo.undo(transaction);
+    if (result.success) {
+      delete msg.undoError;
+    } else {
+      msg.undoError = result.error;
+    }
+    rerenderInPlace();
+  };
+
+  /**
+   * Undoes the most recent AI change that is still applied
+   * @returns {Object} - { success, error }
+   */
+  const undoLastChange = () => {
+    const msg = [...state.history].reverse()
+      .find((item) => apiModule.undo.getStatus(getTransaction(item)) === 'applied');
+    if (!msg) {
+      return { success: false, error: 'There is no AI change to undo' };
+    }
+
+    undoChange(msg, getTransaction(msg));
+    return msg.undoError ? { success: false, error: msg.undoError } : { success: true };
+  };
+
+  /**
+   * Keeps the undo buttons in sync with the editor's undo history
+   */
+  const handleUndoRedo = () => {
+    if (panel) {
+      rerenderInPlace();
+    }
+  };
+
   /**
    * Sets the submitting state (loading)
    */
   const setSubmitting = (isSubmitting) => {
     state.isLoading = isSubmitting;
-    submitBtn.disabled = isSubmitting;
     inputEl.disabled = isSubmitting;
 
-    if (isSubmitting) {
-      // Add loading indicator
-      const loadingEl = document.createElement('div');
-      loadingEl.className = `${pfx}-loading`;
-      loadingEl.id = `${pfx}-loading-indicator`;
-      loadingEl.innerHTML = `
-        <div class="${pfx}-loading-dots">
-          <div class="${pfx}-loading-dot"></div>
-          <div class="${pfx}-loading-dot"></div>
-          <div class="${pfx}-loading-dot"></div>
-        </div>
-      `;
-      messagesContainer.appendChild(loadingEl);
-      scrollToBottom();
-    } else {
-      // Remove loading indicator
-      const loadingEl = document.getElementById(`${pfx}-loading-indicator`);
-      if (loadingEl) {
-        loadingEl.remove();
+    // The submit button doubles as a stop button during the request
+    submitBtn.innerHTML = isSubmitting ? stopIcon : sendIcon;
+    submitBtn.setAttribute('aria-label', isSubmitting ? 'Stop' : 'Submit');
+    submitBtn.classList.toggle(`${pfx}-stop-btn`, isSubmitting);
+
+    renderMessages();
+  };
+
+  /**
+   * Re-sends the turn that ended with the given error message.
+   * The failed turn is removed from the history and sent again.
+   * @param {Object} errorMessage - Error message from the history
+   */
+  const retryTurn = (errorMessage) => {
+    if (state.isLoading) return;
+
+    const errorIndex = state.history.indexOf(errorMessage);
+    let userIndex = errorIndex;
+    while (userIndex >= 0 && state.history[userIndex].role !== 'user') {
+      userIndex--;
+    }
+    if (userIndex < 0) return;
+
+    const userMessage = state.history[userIndex];
+    state.history.splice(userIndex, errorIndex - userIndex + 1);
+    sendTurn(userMessage.content, userMessage.components || [], { intent: userMessage.intent });
+  };
+
+  /**
+   * Gets the undo transaction of the changes a message applied
+   * @param {Object} msg - Message
+   * @returns {Object|undefined}
+   */
+  const getTransaction = (msg) => msg.transaction || msg.review?.transaction || msg.page?.transaction;
+
+  /**
+   * Checks whether a message changed the page, whether or not its undo
+   * transaction is still around (transactions are not persisted)
+   * @param {Object} msg - Message
+   * @returns {boolean}
+   */
+  const hasChanges = (msg) => {
+    return Boolean(
+      msg.changedComponents?.length ||
+      ['accepted', 'partial'].includes(msg.review?.status) ||
+      ['replace', 'append', 'new'].includes(msg.page?.status)
+    );
+  };
+
+  /**
+   * Undoes the changes of the given messages, newest first. Nothing is
+   * undone unless every change can be, so a change that is out of the undo
+   * history (after a reload, for instance) or was edited since never stays
+   * on the page on its own.
+   * @param {Object[]} messages - Messages from the history
+   * @returns {string|null} - Why the changes couldn't be undone, or null when all were
+   */
+  const rollBack = (messages) => {
+    reviewModule?.stopPreview();
+
+    // Applied transactions, newest first
+    const transactions = [];
+    for (const msg of [...messages].reverse()) {
+      const transaction = getTransaction(msg);
+      const status = apiModule.undo.getStatus(transaction);
+      if (status === 'applied') {
+        transactions.push(transaction);
+      } else if (status === 'unknown' || (status === 'empty' && hasChanges(msg))) {
+        return 'Some of them are no longer in the undo history.';
+      }
+    }
+
+    const blocked = transactions.some((transaction, index) => !apiModule.undo.canUndo(transaction, transactions.slice(0, index)));
+    if (blocked) {
+      return 'The affected components were edited since.';
+    }
+
+    for (const [index, transaction] of transactions.entries()) {
+      const result = apiModule.undo.undo(transaction, transactions.slice(0, index));
+      if (!result.success) return result.error;
+    }
+    return null;
+  };
+
+  /**
+   * Gets the turn a message belongs to
+   * @param {Object} msg - Message from the history
+   * @returns {Object|null} - { userIndex, end }: index of the turn's user message,
+   *   and the index after its last reply
+   */
+  const getTurn = (msg) => {
+    let userIndex = state.history.indexOf(msg);
+    while (userIndex >= 0 && state.history[userIndex].role !== 'user') {
+      userIndex--;
+    }
+    if (userIndex < 0) return null;
+
+    let end = userIndex + 1;
+    while (end < state.history.length && state.history[end].role !== 'user') {
+      end++;
+    }
+    return { userIndex, end };
+  };
+
+  /**
+   * Sends an edited user message in place of the original one. Later turns
+   * are removed from the history, and the changes they applied are undone first.
+   * @param {Object} userMessage - User message from the history
+   * @param {string} content - New content
+   */
+  const resendEdited = (userMessage, content) => {
+    const index = state.history.indexOf(userMessage);
+    if (state.isLoading || index < 0 || !content.trim()) return;
+
+    const error = rollBack(state.history.slice(index));
+    if (error) {
+      editError = `Couldn't undo the changes of the later messages: ${error}`;
+      rerenderInPlace();
+      return;
+    }
+
+    editingMessage = null;
+    editError = null;
+    state.history.splice(index);
+    sendTurn(content.trim(), userMessage.components || [], { intent: userMessage.intent });
+  };
+
+  /**
+   * Sends the request of the last turn again for another reply. The changes
+   * of the previous replies are undone, and the replies are kept as alternatives
+   * on the user message (`alternatives`, `alternative` being the one shown).
+   * @param {Object} msg - Last message of the history
+   */
+  const regenerateTurn = async (msg) => {
+    const turn = getTurn(msg);
+    if (state.isLoading || !turn || turn.end !== state.history.length) return;
+
+    const replies = state.history.slice(turn.userIndex + 1);
+    const previous = state.history[turn.userIndex].alternatives?.flat() || [];
+    const error = rollBack([...previous, ...replies]);
+    if (error) {
+      msg.undoError = `Couldn't undo the changes of this reply: ${error}`;
+      rerenderInPlace();
+      return;
+    }
+
+    const userMessage = state.history[turn.userIndex];
+    if (!userMessage.alternatives) {
+      userMessage.alternatives = [replies];
+    }
+    state.history.splice(turn.userIndex + 1);
+
+    await sendTurn(userMessage.content, userMessage.components || [], { intent: userMessage.intent, userMessage });
+
+    userMessage.alternatives.push(state.history.slice(turn.userIndex + 1));
+    userMessage.alternative = userMessage.alternatives.length - 1;
+    rerenderInPlace();
+  };
+
+  /**
+   * Shows another reply of a regenerated turn. Only the text and notes of
+   * the reply change: changes undone when regenerating stay undone.
+   * @param {Object} userMessage - User message with alternatives
+   * @param {number} index - Index of the reply to show
+   */
+  const showAlternative = (userMessage, index) => {
+    const turn = getTurn(userMessage);
+    const replies = userMessage.alternatives?.[index];
+    if (state.isLoading || !turn || !replies) return;
+
+    state.history.splice(turn.userIndex + 1, turn.end - turn.userIndex - 1, ...replies);
+    userMessage.alternative = index;
+    rerenderInPlace();
+  };
+
+  /**
+   * Renders the form editing a user message
+   * @param {Object} msg - User message
+   * @returns {HTMLElement}
+   */
+  const renderEditForm = (msg) => {
+    const form = document.createElement('div');
+    form.className = `${pfx}-edit`;
+
+    const input = document.createElement('textarea');
+    input.className = `${pfx}-edit-input`;
+    input.value = msg.content;
+    form.appendChild(input);
+
+    const cancel = () => {
+      editingMessage = null;
+      editError = null;
+      rerenderInPlace();
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        resendEdited(msg, input.value);
+      } else if (e.key === 'Escape') {
+        cancel();
+      }
+    });
+
+    if (editError) {
+      const errorEl = document.createElement('div');
+      errorEl.className = `${pfx}-edit-error`;
+      errorEl.textContent = editError;
+      form.appendChild(errorEl);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = `${pfx}-edit-actions`;
+    const addButton = (text, onClick, extraClass = '') => {
+      const btn = document.createElement('button');
+      btn.className = `${pfx}-edit-btn ${extraClass}`.trim();
+      btn.textContent = text;
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+    };
+    addButton('Send', () => resendEdited(msg, input.value), `${pfx}-edit-send`);
+    addButton('Cancel', cancel);
+    form.appendChild(actions);
+
+    setTimeout(() => input.focus());
+    return form;
+  };
+
+  /**
+   * Renders the actions under a message: editing user messages, regenerating
+   * the last reply and browsing the replies of a regenerated turn
+   * @param {Object} msg - Message
+   * @param {number} index - Index of the message in the history
+   * @returns {HTMLElement|null}
+   */
+  const renderMessageActions = (msg, index) => {
+    const actions = document.createElement('div');
+    actions.className = `${pfx}-message-actions`;
+
+    const addButton = (text, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = `${pfx}-message-action`;
+      btn.textContent = text;
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+    };
+
+    const isLast = index === state.history.length - 1;
+    const endsTurn = msg.role === 'assistant' && (isLast || state.history[index + 1].role === 'user');
+    const userMessage = endsTurn ? state.history[getTurn(msg)?.userIndex] : null;
+
+    if (userMessage?.alternatives?.length > 1) {
+      actions.appendChild(renderAlternatives(userMessage));
+    }
+
+    if (!state.isLoading) {
+      if (msg.role === 'user') {
+        addButton('Edit', () => {
+          editingMessage = msg;
+          editError = null;
+          rerenderInPlace();
+        });
+      } else if (isLast && userMessage && !msg.isError && !msg.batchResults) {
+        addButton('Regenerate', () => regenerateTurn(msg));
       }
     }
+
+    return actions.children.length ? actions : null;
+  };
+
+  /**
+   * Renders the buttons browsing the replies of a regenerated turn
+   * @param {Object} userMessage - User message with alternatives
+   * @returns {HTMLElement}
+   */
+  const renderAlternatives = (userMessage) => {
+    const nav = document.createElement('div');
+    nav.className = `${pfx}-alternatives`;
+
+    const current = userMessage.alternative ?? userMessage.alternatives.length - 1;
+    const addButton = (text, label, index) => {
+      const btn = document.createElement('button');
+      btn.className = `${pfx}-alternative-btn`;
+      btn.textContent = text;
+      btn.setAttribute('aria-label', label);
+      btn.disabled = state.isLoading || index < 0 || index >= userMessage.alternatives.length;
+      btn.addEventListener('click', () => showAlternative(userMessage, index));
+      nav.appendChild(btn);
+    };
+
+    addButton('‹', 'Previous reply', current - 1);
+    const count = document.createElement('span');
+    count.textContent = `${current + 1} / ${userMessage.alternatives.length}`;
+    nav.appendChild(count);
+    addButton('›', 'Next reply', current + 1);
+    return nav;
+  };
+
+  /**
+   * Appends the loading indicator while a request is in progress.
+   * Hidden once a streamed reply starts rendering, which shows its own cursor.
+   */
+  const renderLoading = () => {
+    const lastMessage = state.history[state.history.length - 1];
+    if (!state.isLoading || lastMessage?.isStreaming) return;
+
+    const loadingEl = document.createElement('div');
+    loadingEl.className = `${pfx}-loading`;
+    loadingEl.id = `${pfx}-loading-indicator`;
+    loadingEl.innerHTML = `
+      <div class="${pfx}-loading-dots">
+        <div class="${pfx}-loading-dot"></div>
+        <div class="${pfx}-loading-dot"></div>
+        <div class="${pfx}-loading-dot"></div>
+      </div>
+      ${batchStatus ? `<span class="${pfx}-loading-text">Component ${batchStatus.index} of ${batchStatus.total}</span>` : ''}
+      ${retryStatus ? `<span class="${pfx}-loading-text">Retrying (${retryStatus.attempt}/${retryStatus.maxAttempts})…</span>` : ''}
+      ${!retryStatus && toolStatus ? `<span class="${pfx}-loading-text">Looking up ${escapeHtml(toolStatus.join(', '))}…</span>` : ''}
+    `;
+    messagesContainer.appendChild(loadingEl);
+  };
+
+  /**
+   * Builds the content of a message (assistant replies are rendered as Markdown)
+   * @param {Object} msg - Message from the history
+   * @returns {Node}
+   */
+  const renderMessageContent = (msg) => {
+    if (markdownModule.enabled && msg.role === 'assistant' && !msg.isError) {
+      return markdownModule.render(msg.content);
+    }
+    return document.createTextNode(msg.content || '');
+  };
+
+  /**
+   * Updates the content of the message being streamed, leaving the other
+   * messages alone. The whole list is rendered again when the message isn't
+   * shown yet, and once the turn ends (see setSubmitting).
+   * @param {Object} msg - Assistant message receiving the stream
+   */
+  const renderStreamingMessage = (msg) => {
+    if (!messagesContainer) return;
+    if (streamingContent?.msg !== msg || !streamingContent.node.isConnected) {
+      renderMessages();
+      return;
+    }
+
+    const node = renderMessageContent(msg);
+    streamingContent.node.replaceWith(node);
+    streamingContent.node = node;
+    scrollToBottom();
   };
 
   /**
@@ -213,16 +1057,31 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
   const renderMessages = () => {
     if (!messagesContainer) return;
 
+    notifyChange();
+
+    // The thread is named after its first message until renamed
+    renderThreads();
+    renderQuickActions();
+
+    // The labels are rebuilt, so a highlight from a hovered one would never end
+    highlightComponent(null);
+
     // Clear container
     messagesContainer.innerHTML = '';
+    streamingContent = null;
 
     if (state.history.length === 0) {
       renderEmptyState();
       return;
     }
 
+    // Messages the assistant no longer sees end with a notice
+    const lastOutOfContext = state.history.reduce(
+      (last, msg, index) => (msg.trimmed || msg.summarized ? index : last), -1
+    );
+
     // Render each message
-    state.history.forEach((msg) => {
+    state.history.forEach((msg, index) => {
       const messageEl = document.createElement('div');
       messageEl.className = `${pfx}-message ${pfx}-message-${msg.role}`;
       
@@ -230,24 +1089,482 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
         messageEl.classList.add(`${pfx}-error`);
       }
 
-      // Build message content
-      let content = escapeHtml(msg.content);
+      if (msg.aborted) {
+        messageEl.classList.add(`${pfx}-message-aborted`);
+      }
+
+      if (msg.isStreaming) {
+        messageEl.classList.add(`${pfx}-message-streaming`);
+      }
+
+      if (msg.trimmed) {
+        messageEl.classList.add(`${pfx}-message-trimmed`);
+      }
+      if (msg.summarized) {
+        messageEl.classList.add(`${pfx}-message-summarized`);
+      }
+
+      const content = renderMessageContent(msg);
+      messageEl.appendChild(content);
+      if (msg.isStreaming) {
+        streamingContent = { msg, node: content };
+      }
 
       // Add component badges if present
       if (msg.components && msg.components.length > 0) {
-        const badges = msg.components.map(id => 
-          `<span class="${pfx}-message-badge">[component: ${escapeHtml(id)}]</span>`
-        ).join('');
-        content = badges + '<br>' + content;
+        const badges = document.createElement('div');
+        badges.className = `${pfx}-message-badges`;
+        msg.components.forEach((id) => badges.appendChild(renderComponentLink(id, `${pfx}-message-badge`)));
+        messageEl.prepend(badges);
+      }
+
+      // Turns of a batch show their place in it
+      if (msg.batch) {
+        const batchLabel = document.createElement('div');
+        batchLabel.className = `${pfx}-batch-label`;
+        batchLabel.textContent = `Batch ${msg.batch.index} / ${msg.batch.total}`;
+        messageEl.prepend(batchLabel);
+      }
+
+      // Outcome of each component of a batch
+      if (msg.batchResults) {
+        messageEl.appendChild(renderBatchResults(msg.batchResults));
+      }
+
+      // User message being edited
+      if (msg === editingMessage) {
+        messageEl.classList.add(`${pfx}-message-editing`);
+        messageEl.innerHTML = '';
+        messageEl.appendChild(renderEditForm(msg));
+        messagesContainer.appendChild(messageEl);
+        return;
+      }
+
+      // Changes awaiting review (or already decided)
+      if (msg.review && reviewModule) {
+        messageEl.classList.add(`${pfx}-message-review`);
+        messageEl.appendChild(reviewModule.renderReview(msg.review, () => onReviewChange(msg)));
+      }
+
+      // Generated page, waiting for the user to choose where it goes
+      if (msg.page && pagesModule) {
+        messageEl.appendChild(pagesModule.renderPage(msg.page, rerenderInPlace));
+      }
+
+      // Component details left out to fit the context budget
+      if (msg.droppedContext) {
+        const note = document.createElement('div');
+        note.className = `${pfx}-context-note`;
+        note.textContent = `Sent without ${msg.droppedContext.join(', ')} to fit the context budget`;
+        messageEl.appendChild(note);
+      }
+
+      // Tell users when the sanitizer filtered something out
+      if (msg.sanitized && msg.sanitized.length) {
+        messageEl.appendChild(renderSanitized(msg.sanitized));
+      }
+
+      // Block generated by the assistant, and components that can be saved as blocks
+      if (blocksModule?.enabled) {
+        const blocksEl = renderBlocks(msg);
+        if (blocksEl) {
+          messageEl.appendChild(blocksEl);
+        }
+      }
+
+      // Editor commands the assistant ran or asks to run
+      if (msg.actions) {
+        messageEl.appendChild(renderActions(msg.actions));
+      }
+
+      // AI changes can be undone from the message that made them
+      const transaction = getTransaction(msg);
+      const undoStatus = transaction ? apiModule.undo.getStatus(transaction) : 'empty';
+      if (undoStatus === 'applied') {
+        const undoBtn = document.createElement('button');
+        undoBtn.className = `${pfx}-undo-btn`;
+        undoBtn.textContent = 'Undo this change';
+        undoBtn.addEventListener('click', () => undoChange(msg, transaction));
+        messageEl.appendChild(undoBtn);
+      } else if (undoStatus === 'undone') {
+        const undoStatusEl = document.createElement('span');
+        undoStatusEl.className = `${pfx}-undo-status`;
+        undoStatusEl.textContent = 'Change undone';
+        messageEl.appendChild(undoStatusEl);
+      }
+      if (msg.undoError) {
+        const undoErrorEl = document.createElement('span');
+        undoErrorEl.className = `${pfx}-undo-status ${pfx}-undo-error`;
+        undoErrorEl.textContent = msg.undoError;
+        messageEl.appendChild(undoErrorEl);
+      }
+
+      // Failed last turns can be sent again
+      if (msg.isError && index === state.history.length - 1 && !state.isLoading) {
+        const retryBtn = document.createElement('button');
+        retryBtn.className = `${pfx}-retry-btn`;
+        retryBtn.textContent = 'Retry';
+        retryBtn.addEventListener('click', () => retryTurn(msg));
+        messageEl.appendChild(retryBtn);
+      }
+
+      const messageActions = renderMessageActions(msg, index);
+      if (messageActions) {
+        messageEl.appendChild(messageActions);
       }
 
-      messageEl.innerHTML = content;
       messagesContainer.appendChild(messageEl);
+
+      if (index === lastOutOfContext) {
+        messagesContainer.appendChild(renderContextNotice());
+      }
     });
 
+    renderLoading();
     scrollToBottom();
   };
 
+  /**
+   * Renders the note listing what the sanitizer removed from a response
+   * @param {Object[]} removed - Removed items
+   * @returns {HTMLElement}
+   */
+  const renderSanitized = (removed) => {
+    const counts = new Map();
+    removed.forEach((item) => {
+      const label = describeRemoved(item);
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+
+    const note = document.createElement('div');
+    note.className = `${pfx}-sanitized`;
+    note.textContent = 'Removed for safety: ' + Array.from(counts)
+      .map(([label, count]) => count > 1 ? `${label} (×${count})` : label)
+      .join(', ');
+    return note;
+  };
+
+  /**
+   * Renders the block notes of a message: the block it generated and the
+   * "Save as block" buttons of the components it changed
+   * @param {Object} msg - Message
+   * @returns {HTMLElement|null}
+   */
+  const renderBlocks = (msg) => {
+    const changedIds = msg.changedComponents || (msg.review?.results ? getChangedIds(msg.review.results) : []);
+
+    // Only the outermost changed components that are still in the page
+    const components = changedIds.map((id) => apiModule.references.find(id)).filter(Boolean);
+    const roots = components.filter((component) => {
+      for (let parent = component.parent(); parent; parent = parent.parent()) {
+        if (components.includes(parent)) return false;
+      }
+      return true;
+    });
+
+    if (!msg.block && !roots.length) return null;
+
+    const container = document.createElement('div');
+    container.className = `${pfx}-blocks`;
+
+    if (msg.block) {
+      const note = document.createElement('div');
+      note.className = `${pfx}-block-note`;
+      note.textContent = `Added "${msg.block.label}" to the ${blocksModule.category} blocks`;
+      container.appendChild(note);
+    }
+
+    roots.forEach((component) => {
+      const savedLabel = msg.savedBlocks?.[apiModule.references.getRef(component)];
+      if (savedLabel) {
+        const note = document.createElement('div');
+        note.className = `${pfx}-block-note`;
+        note.textContent = `Saved "${savedLabel}" as a block`;
+        container.appendChild(note);
+        return;
+      }
+
+      const btn = document.createElement('button');
+      btn.className = `${pfx}-save-block-btn`;
+      btn.textContent = roots.length > 1 ? `Save "${component.getName()}" as block` : 'Save as block';
+      btn.addEventListener('click', () => saveAsBlock(msg, component));
+      container.appendChild(btn);
+    });
+
+    return container;
+  };
+
+  /**
+   * Renders the editor commands of a message, with Run and Skip buttons
+   * for the ones waiting for confirmation
+   * @param {Object[]} actions - Action entries (see the actions module)
+   * @returns {HTMLElement}
+   */
+  const renderActions = (actions) => {
+    const statusLabels = {
+      done: 'Done',
+      skipped: 'Skipped',
+      failed: 'Failed',
+      blocked: 'Not allowed'
+    };
+
+    const list = document.createElement('div');
+    list.className = `${pfx}-actions`;
+
+    actions.forEach((entry) => {
+      const item = document.createElement('div');
+      item.className = `${pfx}-action ${pfx}-action-${entry.status}`;
+
+      const label = document.createElement('span');
+      label.className = `${pfx}-action-label`;
+      label.textContent = entry.label;
+      label.title = entry.command;
+      item.appendChild(label);
+
+      if (entry.status === 'confirm') {
+        [['Run', apiModule.actions.run], ['Skip', apiModule.actions.skip]].forEach(([text, handler]) => {
+          const btn = document.createElement('button');
+          btn.className = `${pfx}-action-btn`;
+          btn.textContent = text;
+          btn.addEventListener('click', () => {
+            handler(entry);
+            rerenderInPlace();
+          });
+          item.appendChild(btn);
+        });
+      } else {
+        const status = document.createElement('span');
+        status.className = `${pfx}-action-status`;
+        status.textContent = statusLabels[entry.status] || '';
+        if (entry.error) {
+          status.title = entry.error;
+        }
+        item.appendChild(status);
+      }
+
+      list.appendChild(item);
+    });
+
+    return list;
+  };
+
+  /**
+   * Renders the notice separating the messages left out of the context
+   * (trimmed or summarized) from the ones still sent
+   * @returns {HTMLElement}
+   */
+  const renderContextNotice = () => {
+    const summarized = state.history.filter((msg) => msg.summarized).length;
+    const trimmed = state.history.filter((msg) => msg.trimmed).length;
+    const parts = [];
+    if (summarized) parts.push(`${summarized} summarized`);
+    if (trimmed) parts.push(`${trimmed} no longer sent`);
+
+    const notice = document.createElement('details');
+    notice.className = `${pfx}-context-notice`;
+    const summary = document.createElement('summary');
+    summary.textContent = `Earlier messages: ${parts.join(', ')}`;
+    notice.appendChild(summary);
+
+    const text = document.createElement('div');
+    text.className = `${pfx}-context-summary`;
+    text.textContent = state.summary || 'These messages exceed the context budget and are not sent to the assistant.';
+    notice.appendChild(text);
+
+    return notice;
+  };
+
+  /**
+   * Re-renders the messages without jumping to the bottom, for updates
+   * triggered from within an older message
+   */
+  const rerenderInPlace = () => {
+    const scrollTop = messagesContainer.scrollTop;
+    renderMessages();
+    messagesContainer.scrollTop = scrollTop;
+  };
+
+  /**
+   * Renders the quick-action chips above the input (the empty state shows them
+   * instead), hidden while loading
+   */
+  const renderQuickActions = () => {
+    if (!quickActionsContainer) return;
+
+    quickActionsContainer.innerHTML = '';
+    if (!promptsModule.enabled || !state.history.length || state.isLoading) return;
+    quickActionsContainer.appendChild(promptsModule.renderChips((action) => runQuickAction(action)));
+  };
+
+  /**
+   * Runs a quick action on the attached components (without any, on the ones
+   * the previous message used). Actions with `send: false` only add their
+   * prompt to the input, to be completed before sending.
+   * @param {Object|string|number} action - Quick action, its label or its index
+   * @param {Array<Object|string>} components - Components (or IDs) to attach first
+   * @returns {Promise<boolean>} - Whether the action ran
+   */
+  const runQuickAction = async (action, components = []) => {
+    const quickAction = promptsModule.find(action);
+    if (!quickAction || state.isLoading) return false;
+
+    components.forEach((component) => addComponentBadge(component));
+    let ids = [...state.pendingComponents];
+    if (ids.length === 0 && state.lastUsedComponents.length > 0) {
+      ids = [...state.lastUsedComponents];
+    }
+
+    const targets = ids.map((id) => apiModule.findComponentById(id)).filter(Boolean);
+    const prompt = promptsModule.fill(quickAction, targets);
+    if (!prompt) return false;
+
+    if (quickAction.send === false) {
+      const text = inputEl.value.trim();
+      inputEl.value = text ? `${text} ${prompt}` : prompt;
+      autoResizeInput();
+      inputEl.focus();
+      return true;
+    }
+
+    if (ids.length > 0) {
+      state.lastUsedComponents = [...ids];
+    }
+    state.pendingComponents = [];
+    renderBadges();
+
+    await sendTurn(prompt, ids);
+    return true;
+  };
+
+  /**
+   * Finds the components a batch runs on
+   * @param {Object} options - { selector, type }: CSS selector and/or GrapesJS type to match
+   * @returns {Object[]} - GrapesJS components
+   */
+  const findBatchComponents = ({ selector, type } = {}) => {
+    const wrapper = editor.getWrapper();
+    if (!wrapper || (!selector && !type)) return [];
+
+    const matchesType = (component) => !type || component.get('type') === type;
+    return selector ? wrapper.find(selector).filter(matchesType) : wrapper.findType(type);
+  };
+
+  /**
+   * Runs a prompt on several components, one turn per component, tracking
+   * each component's progress and outcome. The batch ends with a message
+   * listing the outcomes, and stops when a turn is cancelled.
+   * @param {string} prompt - Prompt sent for every component
+   * @param {Object} options - Components to run on
+   * @param {string} options.selector - CSS selector of the components
+   * @param {string} options.type - GrapesJS type of the components
+   * @param {Array<Object|string>} options.components - Components (or IDs), instead of a selector or type
+   * @returns {Promise<Object[]>} - [{ id, status, error }], status being 'changed', 'review',
+   *   'unchanged', 'error', 'cancelled' or 'skipped'
+   * @throws {Error} - Synchronously, when the batch can't start (nothing matches, too many components
+   *   or a request is in flight)
+   */
+  const runBatch = (prompt, options = {}) => {
+    const message = String(prompt || '').trim();
+    if (!message) {
+      throw new Error('A batch needs a prompt');
+    }
+    if (state.isLoading || batchStatus) {
+      throw new Error('Wait for the current reply to finish');
+    }
+
+    const targets = options.components
+      ? options.components
+        .map((component) => (typeof component === 'string' ? apiModule.findComponentById(component) : component))
+        .filter(Boolean)
+      : findBatchComponents(options);
+    if (!targets.length) {
+      throw new Error('No component matches the batch');
+    }
+    if (targets.length > batchLimit) {
+      throw new Error(`${targets.length} components match, more than the batch limit of ${batchLimit}`);
+    }
+
+    const ids = targets.map((component) => apiModule.references.getRef(component));
+    const batch = { id: `batch-${Date.now().toString(36)}`, total: ids.length };
+
+    const run = async () => {
+      const results = [];
+      let cancelled = false;
+
+      try {
+        for (const [index, id] of ids.entries()) {
+          if (cancelled) {
+            results.push({ id, status: 'skipped' });
+            continue;
+          }
+
+          batchStatus = { index: index + 1, total: ids.length };
+          const start = state.history.length;
+          await sendTurn(message, [id], { batch: { ...batch, index: index + 1 } });
+
+          const turn = state.history.slice(start);
+          const closing = turn[turn.length - 1];
+          if (closing?.isError) {
+            results.push({ id, status: 'error', error: closing.content });
+          } else if (!closing || turn[0].aborted) {
+            // Cancelled, or the conversation was cleared meanwhile
+            results.push({ id, status: 'cancelled' });
+            cancelled = true;
+          } else if (closing.review) {
+            results.push({ id, status: 'review' });
+          } else {
+            results.push({ id, status: getTransaction(closing) ? 'changed' : 'unchanged' });
+          }
+        }
+      } finally {
+        batchStatus = null;
+      }
+
+      const counts = results.reduce((all, result) => ({ ...all, [result.status]: (all[result.status] || 0) + 1 }), {});
+      const outcome = Object.entries(batchStatusLabels)
+        .filter(([status]) => counts[status])
+        .map(([status, label]) => `${counts[status]} ${label}`)
+        .join(', ');
+      state.lastUsedComponents = [...ids];
+      state.history.push({
+        role: 'assistant',
+        content: `Ran "${message}" on ${ids.length} component${ids.length === 1 ? '' : 's'}: ${outcome}.`,
+        batchResults: results
+      });
+      renderMessages();
+      return results;
+    };
+
+    return run();
+  };
+
+  /**
+   * Renders the outcome of each component of a batch
+   * @param {Object[]} results - [{ id, status, error }]
+   * @returns {HTMLElement}
+   */
+  const renderBatchResults = (results) => {
+    const list = document.createElement('ul');
+    list.className = `${pfx}-batch-results`;
+
+    results.forEach((result) => {
+      const item = document.createElement('li');
+      item.className = `${pfx}-batch-result ${pfx}-batch-result-${result.status}`;
+      item.appendChild(renderComponentLink(result.id, `${pfx}-batch-component`));
+
+      const status = document.createElement('span');
+      status.className = `${pfx}-batch-status`;
+      status.textContent = batchStatusLabels[result.status] || result.status;
+      if (result.error) {
+        status.title = result.error;
+      }
+      item.appendChild(status);
+      list.appendChild(item);
+    });
+
+    return list;
+  };
+
   /**
    * Renders the empty state when no messages
    */
@@ -260,24 +1577,170 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
       ${emptyIcon}
       <p>${opts.emptyMessage || "Hello! Select components and describe what changes you'd like me to make."}</p>
     `;
+    if (promptsModule.enabled) {
+      emptyEl.appendChild(promptsModule.renderChips((action) => runQuickAction(action)));
+    }
     messagesContainer.appendChild(emptyEl);
   };
 
+  /**
+   * Gets the persistent id used to reference a component in the chat
+   * @param {Object|string} component - GrapesJS component, or any of its IDs
+   * @returns {string} - The persistent id, or the given ID when no component matches
+   */
+  const resolveRef = (component) => {
+    const target = typeof component === 'string' ? apiModule.findComponentById(component) : component;
+    return target ? apiModule.references.getRef(target) : component;
+  };
+
+  /**
+   * Renders the label of a referenced component. Clicking it selects the
+   * component, hovering it highlights the component in the canvas and
+   * focusing it also scrolls the canvas to the component.
+   * @param {string} id - Component ID
+   * @param {string} className - Class of the label
+   * @returns {HTMLElement}
+   */
+  const renderComponentLink = (id, className) => {
+    const el = document.createElement('span');
+    el.className = className;
+
+    const component = apiModule.references.find(id);
+    if (!component) {
+      el.classList.add(`${pfx}-badge-missing`);
+      el.textContent = 'Removed component';
+      el.title = `This component was removed (${id})`;
+      return el;
+    }
+
+    el.classList.add(`${pfx}-badge-link`);
+    el.textContent = apiModule.references.getLabel(component);
+    el.title = `Select in the canvas (${id})`;
+    el.tabIndex = 0;
+    el.setAttribute('role', 'button');
+    el.addEventListener('click', () => focusComponent(component));
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        focusComponent(component);
+      }
+    });
+    el.addEventListener('mouseenter', () => highlightComponent(component));
+    el.addEventListener('mouseleave', () => highlightComponent(null));
+    el.addEventListener('focus', () => {
+      highlightComponent(component);
+      scrollToComponent(component);
+    });
+    el.addEventListener('blur', () => highlightComponent(null));
+    return el;
+  };
+
+  /**
+   * Scrolls the canvas to a component, if it is rendered
+   * @param {Object} component - GrapesJS component
+   */
+  const scrollToComponent = (component) => {
+    if (component.getEl?.()) {
+      editor.Canvas.scrollTo(component, { behavior: 'smooth' });
+    }
+  };
+
+  /**
+   * Selects a component and scrolls the canvas to it
+   * @param {Object} component - GrapesJS component
+   */
+  const focusComponent = (component) => {
+    editor.select(component);
+    scrollToComponent(component);
+  };
+
+  /**
+   * Highlights a component in the canvas, as when hovering it there
+   * @param {Object|null} component - GrapesJS component, or null to stop
+   */
+  const highlightComponent = (component) => {
+    if (!component && !highlighted) return;
+    highlighted = component;
+    editor.getModel().setHovered(component);
+  };
+
+  /**
+   * Checks whether a referenced component is no longer in the page
+   * @param {string} id - Component ID
+   * @returns {boolean}
+   */
+  const isMissing = (id) => !apiModule.references.find(id);
+
+  /**
+   * Gets the IDs of the referenced components that are missing, as a key
+   * @returns {string}
+   */
+  const getMissingKey = () => {
+    const ids = new Set(state.pendingComponents);
+    state.history.forEach((msg) => (msg.components || []).forEach((id) => ids.add(id)));
+    return [...ids].filter(isMissing).join(',');
+  };
+
+  let missingKey = '';
+  let referenceTimer = null;
+
+  /**
+   * Re-renders the badges once components stop being added or removed,
+   * when a referenced component went missing or came back (e.g. on undo)
+   */
+  const scheduleReferenceCheck = () => {
+    clearTimeout(referenceTimer);
+    referenceTimer = setTimeout(() => {
+      const key = getMissingKey();
+      if (key === missingKey) return;
+      missingKey = key;
+      renderBadges();
+      if (!state.isLoading) {
+        rerenderInPlace();
+      }
+    }, 100);
+  };
+
+  /**
+   * Renames a reference after its component was replaced by one with another id
+   * @param {Object} data - { from, to }
+   */
+  const handleReferenceChange = ({ from, to }) => {
+    const rename = (ids) => ids && ids.map((id) => (id === from ? to : id));
+    state.pendingComponents = rename(state.pendingComponents);
+    state.lastUsedComponents = rename(state.lastUsedComponents);
+    state.history.forEach((msg) => {
+      msg.components = rename(msg.components);
+      msg.changedComponents = rename(msg.changedComponents);
+    });
+    scheduleReferenceCheck();
+  };
+
+  /**
+   * Tells listeners (e.g. the storage module) that the conversation may have changed
+   */
+  const notifyChange = () => {
+    editor.trigger(`${pfx}:chat:update`, state);
+  };
+
   /**
    * Renders the component badges
    */
   const renderBadges = () => {
     if (!badgesContainer) return;
 
+    notifyChange();
+
+    highlightComponent(null);
     badgesContainer.innerHTML = '';
 
     state.pendingComponents.forEach((id) => {
       const badge = document.createElement('div');
       badge.className = `${pfx}-badge`;
-      badge.innerHTML = `
-        <span>[component: ${escapeHtml(id)}]</span>
+      badge.appendChild(renderComponentLink(id, `${pfx}-badge-label`));
+      badge.insertAdjacentHTML('beforeend', `
         <button class="${pfx}-badge-remove" data-id="${escapeHtml(id)}" aria-label="Remove">${removeIcon}</button>
-      `;
+      `);
 
       // Add remove handler
       const removeBtn = badge.querySelector(`.${pfx}-badge-remove`);
@@ -289,20 +1752,46 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
     });
   };
 
+  /**
+   * Gets a component and every component of its layer subtree
+   * @param {Object} component - GrapesJS component
+   * @returns {Object[]}
+   */
+  const getSubtree = (component) => {
+    const components = [component];
+    component.components().forEach((child) => {
+      if (child.get('type') !== 'textnode' && child.get('layerable') !== false) {
+        components.push(...getSubtree(child));
+      }
+    });
+    return components;
+  };
+
   /**
    * Adds a component badge to the pending list
+   * @param {Object|string} component - GrapesJS component, or its ID
+   * @param {Object} options - Options
+   * @param {boolean} options.subtree - Also add every component of its layer subtree
    */
-  const addComponentBadge = (componentId) => {
-    if (!state.pendingComponents.includes(componentId)) {
-      state.pendingComponents.push(componentId);
+  const addComponentBadge = (component, options = {}) => {
+    const target = typeof component === 'string' ? apiModule.findComponentById(component) : component;
+    const components = options.subtree && target ? getSubtree(target) : [component];
+
+    const added = components
+      .map((item) => resolveRef(item))
+      .filter((componentId) => !state.pendingComponents.includes(componentId));
+    if (added.length) {
+      state.pendingComponents.push(...new Set(added));
       renderBadges();
     }
   };
 
   /**
    * Removes a component badge from the pending list
+   * @param {Object|string} component - GrapesJS component, or its ID
    */
-  const removeComponentBadge = (componentId) => {
+  const removeComponentBadge = (component) => {
+    const componentId = state.pendingComponents.includes(component) ? component : resolveRef(component);
     const index = state.pendingComponents.indexOf(componentId);
     if (index > -1) {
       state.pendingComponents.splice(index, 1);
@@ -421,6 +1910,13 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
    * Destroys the chatbot panel
    */
   const destroy = () => {
+    cancelRequest();
+    editor.off('undo redo', handleUndoRedo);
+    editor.off('component:add component:remove', scheduleReferenceCheck);
+    editor.off(`${pfx}:reference:change`, handleReferenceChange);
+    editor.off(`${pfx}:thread:change`, handleThreadChange);
+    clearTimeout(referenceTimer);
+    reviewModule?.stopPreview();
     if (panel) {
       panel.remove();
       panel = null;
@@ -429,6 +1925,10 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
 
   // Initialize panel
   createPanel();
+  editor.on('undo redo', handleUndoRedo);
+  editor.on('component:add component:remove', scheduleReferenceCheck);
+  editor.on(`${pfx}:reference:change`, handleReferenceChange);
+  editor.on(`${pfx}:thread:change`, handleThreadChange);
 
   return {
     getPanel,
@@ -436,8 +1936,17 @@ export default (editor, opts = {}, state, fabModule, apiModule) => {
     closePanel,
     addComponentBadge,
     removeComponentBadge,
+    cancelRequest,
+    retryTurn,
+    sendTurn,
+    undoChange,
+    undoLastChange,
+    runQuickAction,
+    getQuickActions: promptsModule.getAll,
+    runBatch,
     renderMessages,
     renderBadges,
+    renderThreads,
     destroy
   };
 };
@@ -0,0 +1,200 @@
+/**
+ * Context Module for GrapesJS AI Agent Plugin
+ * Describes selected components for the request payload (`componentData`
+ * and `componentContext`)
+ */
+
+// Computed style properties sent by default
+export const DEFAULT_COMPUTED_STYLES = [
+  'display', 'position', 'width', 'height', 'margin', 'padding', 'color', 'background-color',
+  'font-family', 'font-size', 'font-weight', 'line-height', 'text-align', 'flex-direction',
+  'justify-content', 'align-items', 'gap', 'grid-template-columns', 'border', 'border-radius',
+  'box-shadow', 'opacity'
+];
+
+// Maximum number of characters of text shown for siblings
+const SIBLING_TEXT_LENGTH = 40;
+
+export default (editor, opts = {}, cssModule) => {
+  const config = opts.context || {};
+  const enabled = opts.context !== false;
+
+  /**
+   * Describes a component in a few fields, for the ancestor path and siblings
+   * @param {Object} component - GrapesJS component
+   * @returns {Object} - { id, type, tagName, name, classes }
+   */
+  const summarize = (component) => {
+    const summary = {
+      id: component.getId(),
+      type: component.get('type') || 'default',
+      tagName: component.get('tagName'),
+      name: component.getName()
+    };
+    const classes = component.getClasses();
+    if (classes.length) {
+      summary.classes = classes;
+    }
+    return summary;
+  };
+
+  /**
+   * Gets the trait values of a component
+   * @param {Object} component - GrapesJS component
+   * @returns {Object} - Map of trait names to values
+   */
+  const getTraitValues = (component) => {
+    const traits = {};
+    component.getTraits().forEach((trait) => {
+      const name = trait.getName();
+      if (name) {
+        traits[name] = trait.getValue();
+      }
+    });
+    return traits;
+  };
+
+  /**
+   * Gets the ancestors of a component, from the outermost down to its parent
+   * @param {Object} component - GrapesJS component
+   * @returns {Object[]} - Summaries of the ancestors (the wrapper excluded)
+   */
+  const getAncestorPath = (component) => {
+    const path = [];
+    let parent = component.parent();
+    while (parent && parent.parent()) {
+      path.unshift(summarize(parent));
+      parent = parent.parent();
+    }
+    return path;
+  };
+
+  /**
+   * Gets the siblings of a component
+   * @param {Object} component - GrapesJS component
+   * @returns {Object} - { index, count, previous, next }
+   */
+  const getSiblings = (component) => {
+    const parent = component.parent();
+    if (!parent) return null;
+
+    const siblings = parent.components();
+    const index = component.index();
+    const describe = (sibling) => {
+      if (!sibling) return null;
+      const text = (sibling.getEl?.()?.textContent || '').trim().replace(/\s+/g, ' ');
+      const summary = summarize(sibling);
+      if (text) {
+        summary.text = text.length > SIBLING_TEXT_LENGTH ? `${text.slice(0, SIBLING_TEXT_LENGTH)}…` : text;
+      }
+      return summary;
+    };
+
+    return {
+      index,
+      count: siblings.length,
+      previous: describe(index > 0 ? siblings.at(index - 1) : null),
+      next: describe(siblings.at(index + 1))
+    };
+  };
+
+  /**
+   * Gets computed style values of a component in the canvas
+   * @param {Object} component - GrapesJS component
+   * @param {string[]} properties - Properties to read
+   * @returns {Object|null} - Map of properties to values, or null when not rendered
+   */
+  const getComputedStyles = (component, properties) => {
+    const el = component.getEl?.();
+    const view = el?.ownerDocument?.defaultView;
+    if (!el || !view) return null;
+
+    const computed = view.getComputedStyle(el);
+    const styles = {};
+    properties.forEach((prop) => {
+      const value = computed.getPropertyValue(prop);
+      if (value) {
+        styles[prop] = value;
+      }
+    });
+    return styles;
+  };
+
+  /**
+   * Gets the device selected in the editor
+   * @returns {Object|null} - { id, name, width, widthMedia }
+   */
+  const getDevice = () => {
+    const device = editor.Devices?.getSelected?.();
+    if (!device) return null;
+    return {
+      id: device.id,
+      name: device.getName?.() || device.get('name'),
+      width: device.get('width') || null,
+      widthMedia: device.get('widthMedia') || null
+    };
+  };
+
+  /**
+   * Builds the default context of a component, according to the `context`
+   * option (only its HTML when the option is false)
+   * @param {Object} component - GrapesJS component
+   * @returns {Object} - Component context
+   */
+  const getDefaultContext = (component) => {
+    const context = {
+      html: component.toHTML()
+    };
+    if (!enabled) return context;
+
+    if (config.css !== false) {
+      context.css = cssModule.getComponentCss(component);
+    }
+    if (config.type !== false) {
+      context.type = component.get('type') || 'default';
+      context.name = component.getName();
+    }
+    if (config.traits !== false) {
+      context.traits = getTraitValues(component);
+    }
+    if (config.path !== false) {
+      context.path = getAncestorPath(component);
+    }
+    if (config.siblings !== false) {
+      context.siblings = getSiblings(component);
+    }
+    if (config.computedStyles !== false) {
+      const properties = Array.isArray(config.computedStyles) ? config.computedStyles : DEFAULT_COMPUTED_STYLES;
+      const computedStyles = getComputedStyles(component, properties);
+      if (computedStyles) {
+        context.computedStyles = computedStyles;
+      }
+    }
+    if (config.device !== false) {
+      context.device = getDevice();
+    }
+
+    return context;
+  };
+
+  /**
+   * Builds the context sent for a component, passing the default context
+   * through the `contextBuilder` option when set
+   * @param {Object} component - GrapesJS component
+   * @returns {Promise<Object>} - Component context
+   */
+  const buildContext = async (component) => {
+    const defaultContext = getDefaultContext(component);
+    if (typeof opts.contextBuilder !== 'function') {
+      return defaultContext;
+    }
+    const context = await opts.contextBuilder(component, defaultContext);
+    return context || defaultContext;
+  };
+
+  return {
+    summarize,
+    getDefaultContext,
+    buildContext
+  };
+};
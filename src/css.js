@@ -0,0 +1,259 @@
+/**
+ * CSS Module for GrapesJS AI Agent Plugin
+ * Reads the CSS rules affecting components and applies style changes
+ * through the CssComposer (editor.Css)
+ */
+
+// GrapesJS selector type for id selectors (Selector.TYPE_ID)
+const SELECTOR_TYPE_ID = 2;
+
+// Selectors of the document root, which scoped rules apply to the scope itself
+const ROOT_SELECTOR_PATTERN = /^(html|body|:root)(?![\w-])/i;
+
+/**
+ * Splits a selector list on the commas outside parentheses
+ * @param {string} selectorText - Selector list
+ * @returns {string[]}
+ */
+const splitSelectors = (selectorText) => {
+  const selectors = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selectorText) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if (char === ',' && !depth) {
+      selectors.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  selectors.push(current.trim());
+  return selectors.filter(Boolean);
+};
+
+export default (editor, opts = {}, findComponentById) => {
+  // Document used to parse style sheets, created on first use
+  let parserDoc = null;
+
+  /**
+   * Gets the CSS rules that apply to a component.
+   * Uses the rendered element when available, otherwise compares the
+   * rule's simple class/id selectors with the component's classes and id.
+   * @param {Object} component - GrapesJS component
+   * @returns {Object[]} - Matching CssRule models
+   */
+  const getComponentRules = (component) => {
+    const el = component.getEl?.();
+    const classes = component.getClasses();
+    const id = component.getId();
+
+    return editor.Css.getAll().filter((rule) => {
+      const selector = rule.selectorsToString({ skipState: true });
+      if (!selector) return false;
+
+      if (el) {
+        try {
+          return el.matches(selector);
+        } catch (e) {
+          // Selectors the DOM can't parse never match
+          return false;
+        }
+      }
+
+      const selectors = rule.get('selectors').models || [];
+      if (!selectors.length || rule.get('selectorsAdd')) return false;
+
+      return selectors.every((sel) => sel.get('type') === SELECTOR_TYPE_ID
+        ? sel.get('name') === id
+        : classes.includes(sel.get('name')));
+    });
+  };
+
+  /**
+   * Gets the CSS rules that apply to a component, as CSS text
+   * @param {Object} component - GrapesJS component
+   * @returns {string} - CSS rules, one per line (including media queries and states)
+   */
+  const getComponentCss = (component) => {
+    return getComponentRules(component)
+      .map((rule) => rule.toCSS())
+      .filter(Boolean)
+      .join('\n');
+  };
+
+  /**
+   * Resolves the selector a style change targets
+   * @param {Object} change - Style change
+   * @returns {string} - Selector string, including the state if any
+   */
+  const resolveSelector = (change) => {
+    let selector = change.selector;
+
+    // Component-scoped rules target the component's id
+    if (change.id) {
+      const component = findComponentById(change.id);
+      if (!component) {
+        throw new Error('Component not found');
+      }
+      selector = `#${component.getId()}`;
+    }
+
+    if (!selector || typeof selector !== 'string') {
+      throw new Error('Style change needs a "selector" or an "id"');
+    }
+
+    return change.state ? `${selector}:${change.state.replace(/^:+/, '')}` : selector;
+  };
+
+  /**
+   * Serializes a style object as a CSS rule
+   * @param {string} selector - Rule selector
+   * @param {Object} style - Style properties
+   * @param {string} media - Optional media query
+   * @returns {string} - CSS text, empty if there are no properties
+   */
+  const toCssText = (selector, style, media) => {
+    const body = Object.entries(style).map(([prop, value]) => `${prop}:${value};`).join('');
+    if (!body) return '';
+    const rule = `${selector}{${body}}`;
+    return media ? `@media ${media}{${rule}}` : rule;
+  };
+
+  /**
+   * Computes the outcome of a style change without applying it.
+   * By default the given properties are merged into the existing rule;
+   * properties set to `null` or `''` are removed. `replace: true` overwrites
+   * the whole rule and `remove: true` deletes it.
+   * @param {Object} change - { selector | id, style, state, media, replace, remove }
+   * @returns {Object} - { selector, ruleOpts, rule, style, before, after } where
+   *   `rule` is the existing CssRule (if any), `style` the resulting properties
+   *   (null when removed) and `before`/`after` the rule as CSS text
+   */
+  const describeStyle = (change) => {
+    const selector = resolveSelector(change);
+    const ruleOpts = change.media
+      ? { atRuleType: 'media', atRuleParams: change.media }
+      : {};
+    const rule = editor.Css.getRule(selector, ruleOpts);
+    const before = rule ? rule.toCSS() : '';
+
+    if (change.remove) {
+      return { selector, ruleOpts, rule, style: null, before, after: '' };
+    }
+
+    const existing = change.replace ? {} : rule?.getStyle() || {};
+    const style = { ...existing };
+    Object.entries(change.style || {}).forEach(([prop, value]) => {
+      if (value === null || value === '') {
+        delete style[prop];
+      } else {
+        style[prop] = value;
+      }
+    });
+
+    return { selector, ruleOpts, rule, style, before, after: toCssText(selector, style, change.media) };
+  };
+
+  /**
+   * Applies a single style change (see describeStyle for the semantics)
+   * @param {Object} change - { selector | id, style, state, media, replace, remove }
+   * @returns {Object|null} - The updated CssRule, or null if it was removed
+   */
+  const applyStyle = (change) => {
+    const { selector, ruleOpts, rule, style } = describeStyle(change);
+
+    if (!style) {
+      if (rule) {
+        editor.Css.remove(rule);
+      }
+      return null;
+    }
+
+    return editor.Css.setRule(selector, style, ruleOpts);
+  };
+
+  /**
+   * Applies a list of style changes, in order
+   * @param {Object[]} styles - Style changes
+   * @returns {Object} - { success: [{ op, selector, rule }], failed: [{ op, id, selector, error }] }
+   */
+  const applyStyles = (styles = []) => {
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    styles.forEach((change) => {
+      const { id, selector } = change || {};
+
+      try {
+        const rule = applyStyle(change);
+        results.success.push({ op: 'style', id, selector: rule ? rule.selectorsToString() : selector, rule });
+      } catch (error) {
+        console.error(`Failed to apply style change to "${id || selector}":`, error);
+        results.failed.push({ op: 'style', id, selector, error: error.message });
+      }
+    });
+
+    return results;
+  };
+
+  /**
+   * Scopes the rules of a list so they only match inside the scope
+   * @param {CSSRuleList} rules - Rules to scope
+   * @param {string} scope - Selector of the scope
+   * @returns {string[]} - CSS text of the scoped rules
+   */
+  const scopeRules = (rules, scope) => {
+    return Array.from(rules).map((rule) => {
+      if (rule.selectorText !== undefined && rule.style) {
+        const selectors = splitSelectors(rule.selectorText).map((selector) => {
+          return ROOT_SELECTOR_PATTERN.test(selector)
+            ? selector.replace(ROOT_SELECTOR_PATTERN, scope)
+            : `${scope} ${selector}`;
+        });
+        return `${selectors.join(', ')}{${rule.style.cssText}}`;
+      }
+
+      // Conditional grouping rules (@media, @supports); @keyframes and @font-face are kept as they are
+      if (rule.cssRules && (rule.media || rule.conditionText !== undefined)) {
+        const condition = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+        return `${condition}{${scopeRules(rule.cssRules, scope).join('')}}`;
+      }
+
+      return rule.cssText;
+    });
+  };
+
+  /**
+   * Scopes a style sheet to a selector: rules only match inside it, and
+   * rules for html, body or :root apply to it instead
+   * @param {string} css - CSS text
+   * @param {string} scope - Selector of the scope (e.g. '#page-wrapper')
+   * @returns {string} - Scoped CSS text
+   */
+  const scopeCss = (css, scope) => {
+    if (!css) return '';
+
+    parserDoc = parserDoc || document.implementation.createHTMLDocument('');
+    const styleEl = parserDoc.createElement('style');
+    styleEl.textContent = css;
+    parserDoc.head.appendChild(styleEl);
+
+    try {
+      return scopeRules(styleEl.sheet?.cssRules || [], scope).join('\n');
+    } finally {
+      styleEl.remove();
+    }
+  };
+
+  return {
+    getComponentRules,
+    getComponentCss,
+    describeStyle,
+    applyStyles,
+    scopeCss
+  };
+};
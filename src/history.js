@@ -0,0 +1,128 @@
+/**
+ * History Module for GrapesJS AI Agent Plugin
+ * Fits the conversation history and component data sent with each
+ * request into the context budget
+ */
+
+// Rough number of characters per token, to turn token budgets into sizes
+const CHARS_PER_TOKEN = 4;
+
+// Optional component context fields, in the order they are dropped when over budget
+const DROPPABLE_FIELDS = ['computedStyles', 'siblings', 'traits', 'path', 'device', 'css'];
+
+export default (editor, opts = {}, findComponentById) => {
+  const budget = opts.contextBudget;
+
+  /**
+   * Gets the budget in characters
+   * @returns {number} - Maximum payload size, or Infinity without a budget
+   */
+  const getLimit = () => {
+    if (!budget) return Infinity;
+    if (budget.maxChars) return budget.maxChars;
+    if (budget.maxTokens) return budget.maxTokens * CHARS_PER_TOKEN;
+    return Infinity;
+  };
+
+  /**
+   * Estimates the size of a value once serialized
+   * @param {*} value - Value to measure
+   * @returns {number} - Size in characters
+   */
+  const estimateSize = (value) => (value == null ? 0 : JSON.stringify(value).length);
+
+  /**
+   * Converts a history message to its payload form, dropping references
+   * to components that no longer exist
+   * @param {Object} msg - History message
+   * @returns {Object} - { role, content, components }
+   */
+  const toPayloadMessage = (msg) => ({
+    role: msg.role,
+    content: msg.content,
+    components: (msg.components || []).filter((id) => !!findComponentById(id))
+  });
+
+  /**
+   * Drops optional fields from the component data until it fits the given size
+   * @param {Object} componentData - Map of component ids to context
+   * @param {number} limit - Maximum size in characters
+   * @returns {Object} - { componentData, dropped: field names }
+   */
+  const fitComponentData = (componentData, limit) => {
+    let data = componentData;
+    const dropped = [];
+
+    for (const field of DROPPABLE_FIELDS) {
+      if (estimateSize(data) <= limit) break;
+      if (!Object.values(data).some((context) => context && field in context)) continue;
+      data = Object.fromEntries(Object.entries(data).map(([id, context]) => {
+        const { [field]: removed, ...rest } = context || {};
+        return [id, rest];
+      }));
+      dropped.push(field);
+    }
+
+    return { componentData: data, dropped };
+  };
+
+  /**
+   * Selects what fits in the budget: the message and component data first,
+   * then history turns from the newest to the oldest. Cancelled turns and
+   * turns already covered by the summary are never sent.
+   * @param {Object} params - { message, componentData, history, summary }
+   * @returns {Object} - {
+   *   history: payload messages,
+   *   componentData,
+   *   dropped: component data fields left out,
+   *   included: original messages sent,
+   *   trimmed: original messages left out,
+   *   summarize: original messages to fold into the summary (when enabled)
+   * }
+   */
+  const fit = ({ message, componentData, history, summary }) => {
+    const limit = getLimit();
+    const candidates = history.filter((msg) => !msg.aborted && !msg.summarized);
+
+    const fitted = fitComponentData(componentData, Math.max(0, limit - estimateSize(message) - estimateSize(summary)));
+    let remaining = limit - estimateSize(message) - estimateSize(summary) - estimateSize(fitted.componentData);
+
+    // Keep contiguous recent turns; the latest one is always sent
+    const included = [];
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const size = estimateSize(toPayloadMessage(candidates[i]));
+      if (included.length && size > remaining) break;
+      included.unshift(candidates[i]);
+      remaining -= size;
+    }
+
+    const trimmed = candidates.slice(0, candidates.length - included.length);
+
+    // Oldest trimmed turns first, so the summary always covers the start of the conversation
+    const summarize = [];
+    if (budget?.summarize && trimmed.length) {
+      let summarizeRemaining = limit;
+      for (const msg of trimmed) {
+        const size = estimateSize(toPayloadMessage(msg));
+        if (summarize.length && size > summarizeRemaining) break;
+        summarize.push(msg);
+        summarizeRemaining -= size;
+      }
+    }
+
+    return {
+      history: included.map(toPayloadMessage),
+      componentData: fitted.componentData,
+      dropped: fitted.dropped,
+      included,
+      trimmed,
+      summarize
+    };
+  };
+
+  return {
+    estimateSize,
+    toPayloadMessage,
+    fit
+  };
+};
@@ -17,18 +17,212 @@ import loadFAB from './fab';
 import loadChatbot from './chatbot';
 import loadAPI from './api';
 import loadToolbar from './toolbar';
+import loadReview from './review';
+import loadBlocks from './blocks';
+import loadPages from './pages';
+import loadStorage from './storage';
+import loadThreads from './threads';
+import loadSlashCommands from './slash';
+import loadTools from './tools';
+import loadActions from './actions';
 import en from './locale/en';
 
+// Built-in transports, for use with the "api" option
+export { fetchTransport, webSocketTransport, postMessageTransport } from './transports';
+
+// Default sanitizer lists, to extend in the "sanitize" option
+export { DEFAULT_ALLOWED_TAGS, DEFAULT_ALLOWED_ATTRIBUTES } from './sanitizer';
+
+// Default computed style properties, to extend in the "context" option
+export { DEFAULT_COMPUTED_STYLES } from './context';
+
+// Default command allowlist, to extend in the "actions" option
+export { DEFAULT_ALLOWED_COMMANDS } from './actions';
+
 /**
  * Plugin default options
  */
 const defaults = {
-  // Required: API endpoint for chatbot requests
+  // Required: API endpoint URL for chatbot requests, or a custom transport:
+  // a function `(payload, { signal }) => Promise|AsyncIterable`, an object
+  // with such a `send` method, or a built-in transport descriptor
+  // ({ type: 'fetch' | 'websocket' | 'postMessage', ...config })
   api: '',
   
   // Optional: Custom headers for API requests (e.g. for authentication)
+  // Only used by the fetch transport
   headers: {},
+
+  // Optional: Accept streamed responses (SSE or NDJSON) and render them progressively
+  stream: true,
+
+  // Optional: Request timeout in milliseconds, per attempt (while streaming,
+  // the maximum time between two events). 0 means no timeout
+  timeout: 0,
+
+  // Optional: Retry policy for transient API failures. Set to false to disable
+  retry: {
+    // Total number of attempts, including the first one
+    maxAttempts: 3,
+    // Initial backoff delay in milliseconds, doubled after each attempt
+    baseDelay: 1000,
+    // Maximum delay between attempts (a longer Retry-After stops retrying)
+    maxDelay: 30000,
+    // Randomize delays so concurrent clients don't retry in lockstep
+    jitter: true,
+    // HTTP statuses that are worth retrying
+    statuses: [408, 429, 500, 502, 503, 504],
+    // Retry requests that fail before reaching the server or time out
+    networkErrors: true
+  },
   
+  // Optional: Budget for the conversation sent with each request. The oldest
+  // turns that don't fit are left out. Set to false to always send everything
+  contextBudget: {
+    // Approximate budget in tokens (about 4 characters each)
+    maxTokens: 16000,
+    // Budget in characters, used instead of maxTokens when set
+    maxChars: null,
+    // Ask the backend to fold the turns left out into a rolling summary
+    summarize: false
+  },
+
+  // Optional: What to send about each selected component in `componentContext`
+  // (its HTML is always sent in `componentData`). Set a field to false to leave it out
+  context: {
+    // CSS rules affecting the component
+    css: true,
+    // GrapesJS component type and name
+    type: true,
+    // Trait values
+    traits: true,
+    // Ancestors, from the outermost down to the parent
+    path: true,
+    // Position among siblings and the previous/next sibling
+    siblings: true,
+    // Computed styles in the canvas: true for DEFAULT_COMPUTED_STYLES, or a list of properties
+    computedStyles: true,
+    // Device selected in the editor
+    device: true
+  },
+
+  // Optional: Function `(component, defaultContext) => context` (or a Promise)
+  // to add or change the data sent for each component
+  contextBuilder: null,
+
+  // Optional: Sanitization policy for HTML and styles returned by the API,
+  // applied before any change lands. Set to false to disable
+  sanitize: {
+    // Allowed tags (null for DEFAULT_ALLOWED_TAGS). Other tags are unwrapped,
+    // script-like tags (script, iframe, object, ...) are removed with their content
+    allowedTags: null,
+    // Allowed attributes (null for DEFAULT_ALLOWED_ATTRIBUTES). Event handlers
+    // are always removed, aria-* attributes are always kept
+    allowedAttributes: null,
+    // Keep data-* attributes (data-gjs-* attributes, read by the GrapesJS
+    // parser as component properties, are always removed)
+    allowDataAttributes: true,
+    // URL schemes allowed in links and sources (relative URLs are always allowed)
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    // Remove resources (images, media, CSS url()) loaded from other hosts
+    blockExternal: true,
+    // Hosts resources may still load from, e.g. 'cdn.example.com' or '*.example.com'
+    allowedHosts: []
+  },
+
+  // Optional: Let the backend query the editor through tool calls
+  // (getComponent, findComponents, listPages, getCss, getSelected)
+  toolCalling: true,
+
+  // Optional: Extra tools the backend can call, as
+  // { name: { description, parameters, handler: (args, { editor }) => result } }
+  tools: {},
+
+  // Optional: Maximum number of tool-calling rounds per message
+  maxToolRounds: 5,
+
+  // Optional: Editor commands the backend can run through `actions` in its
+  // responses (e.g. opening the layer manager). Set to false to disable
+  actions: {
+    // Command ids the assistant may run: null for DEFAULT_ALLOWED_COMMANDS
+    // plus `<classPrefix>:set-device`, or true for every registered command
+    allowed: null,
+    // Command ids that wait for the user to confirm them, or true for all
+    confirm: ['core:canvas-clear', 'core:component-delete'],
+    // Descriptions sent to the backend, keyed by command id
+    descriptions: {}
+  },
+
+  // Optional: Review AI changes (diff and canvas preview) before applying them
+  reviewChanges: false,
+
+  // Optional: Typing @ in the input suggests components to attach (by name,
+  // type, id, tag or text). Set to false to disable
+  mentions: {
+    // Maximum number of suggestions
+    limit: 8
+  },
+
+  // Optional: "Send to AI Chat" also adds every component in the layer subtree of the selected ones
+  sendSubtree: false,
+
+  // Optional: Batch mode, running one prompt on every component matching a selector or type
+  batch: {
+    // Maximum number of components a batch runs on
+    maxComponents: 50
+  },
+
+  // Optional: Prompts run in one click, shown as chips in the panel and in a dropdown
+  // on the component toolbar button, as [{ label, prompt, send }] (or strings).
+  // Templates may use {component}, {text} and {tag}; send: false only fills in the input
+  quickActions: [],
+
+  // Optional: Extra slash commands for the input (`/name arguments`), as
+  // { name: { description, usage, handler: (args, { editor }) => message } }.
+  // Set a built-in command to null to remove it, or this option to false to disable slash commands
+  slashCommands: {},
+
+  // Optional: Render assistant replies as Markdown (lists, code, emphasis, links).
+  // Set to false to show them as plain text
+  markdown: {
+    // URL schemes allowed in links (relative links are always allowed)
+    linkSchemes: ['http', 'https', 'mailto']
+  },
+
+  // Optional: Attribute holding the persistent ids of the components referenced
+  // in the chat (null for `data-<classPrefix>-id`; 'id' to use the id attribute)
+  referenceAttribute: null,
+
+  // Optional: Keep the conversation across reloads. Set to false to disable,
+  // e.g. when conversations must not be stored on the device
+  persist: {
+    // Where to keep it: 'local' (localStorage), 'project' (in the project data,
+    // saved by the StorageManager) or a custom store
+    // { load(key), store(key, data), remove(key) } (methods may return Promises)
+    store: 'local',
+    // Storage key, or project data key. null for `<classPrefix>-chat:<project>`,
+    // <project> being where the StorageManager keeps the project
+    // (`<classPrefix>-chat` with the 'project' store)
+    key: null,
+    // Maximum number of messages kept per thread (0 for no limit)
+    maxMessages: 200
+  },
+
+  // Optional: Let the assistant generate whole pages (HTML and CSS).
+  // Set to false to disable
+  pages: {
+    // Where generated pages go: null to let the user choose,
+    // or 'replace' (the current page), 'append' (to it) or 'new' (page)
+    target: null
+  },
+
+  // Optional: Save AI-modified components as blocks and let the assistant
+  // generate blocks, stored with the project. Set to false to disable
+  blocks: {
+    // BlockManager category of the blocks
+    category: 'AI'
+  },
+
   // Optional: Starting FAB position { x: number, y: number }
   fabPosition: { x: null, y: null },
   
@@ -63,6 +257,41 @@ export default (editor, opts = {}) => {
   // Merge options with defaults
   const options = { ...defaults, ...opts };
 
+  // Merge nested option groups so partial overrides keep the other defaults
+  if (options.retry) {
+    options.retry = { ...defaults.retry, ...options.retry };
+  }
+  if (options.contextBudget) {
+    options.contextBudget = { ...defaults.contextBudget, ...options.contextBudget };
+  }
+  if (options.context) {
+    options.context = { ...defaults.context, ...options.context };
+  }
+  if (options.sanitize) {
+    options.sanitize = { ...defaults.sanitize, ...options.sanitize };
+  }
+  if (options.actions) {
+    options.actions = { ...defaults.actions, ...options.actions };
+  }
+  if (options.blocks) {
+    options.blocks = { ...defaults.blocks, ...options.blocks };
+  }
+  if (options.pages) {
+    options.pages = { ...defaults.pages, ...options.pages };
+  }
+  if (options.batch) {
+    options.batch = { ...defaults.batch, ...options.batch };
+  }
+  if (options.mentions) {
+    options.mentions = { ...defaults.mentions, ...options.mentions };
+  }
+  if (options.markdown) {
+    options.markdown = { ...defaults.markdown, ...options.markdown };
+  }
+  if (options.persist) {
+    options.persist = { ...defaults.persist, ...options.persist };
+  }
+
   // Validate required options
   if (!options.api) {
     console.warn('grapesjs-ai-agent: "api" option is required but not provided. The plugin will load but API calls will fail.');
@@ -72,7 +301,12 @@ export default (editor, opts = {}) => {
    * Shared state object for all modules
    */
   const state = {
-    // Chat message history
+    // Conversation threads, and the id of the active one
+    // (set up by the threads module, which swaps the fields below on switch)
+    threads: [],
+    threadId: null,
+
+    // Chat message history of the active thread
     history: [],
     
     // Component IDs pending submission
@@ -86,6 +320,12 @@ export default (editor, opts = {}) => {
     
     // Whether an API request is in progress
     isLoading: false,
+
+    // Rolling summary of the turns no longer sent as context
+    summary: '',
+
+    // Whether AI changes wait for review before being applied
+    reviewMode: !!options.reviewChanges,
     
     // Toggle panel visibility
     togglePanel: null // Will be set after chatbot module loads
@@ -96,6 +336,23 @@ export default (editor, opts = {}) => {
   let chatbotModule = null;
   let apiModule = null;
   let toolbarModule = null;
+  let reviewModule = null;
+  let pagesModule = null;
+
+  const threadsModule = loadThreads(editor, options, state);
+  const slashModule = loadSlashCommands(editor, options, state);
+
+  // Tools and editor commands are set up right away, so they can be registered and listed before the editor loads
+  const toolsModule = loadTools(editor, options, () => apiModule);
+  const actionsModule = loadActions(editor, options);
+
+  // Blocks and storage are set up right away, to restore what was saved with the project when it loads
+  const blocksModule = loadBlocks(editor, options);
+  const storageModule = loadStorage(editor, options, state, threadsModule, () => {
+    chatbotModule?.renderThreads();
+    chatbotModule?.renderMessages();
+    chatbotModule?.renderBadges();
+  });
 
   /**
    * Initialize all modules when editor loads
@@ -105,7 +362,13 @@ export default (editor, opts = {}) => {
     loadStyles(editor, options);
 
     // Load API module (no DOM dependencies)
-    apiModule = loadAPI(editor, options);
+    apiModule = loadAPI(editor, options, toolsModule, actionsModule);
+
+    // Load review module (changes preview and approval)
+    reviewModule = loadReview(editor, options, apiModule);
+
+    // Load pages module (generated whole pages)
+    pagesModule = loadPages(editor, options, apiModule);
 
     // Create toggle function
     state.togglePanel = () => {
@@ -121,7 +384,7 @@ export default (editor, opts = {}) => {
     fabModule = loadFAB(editor, options, state);
 
     // Load Chatbot
-    chatbotModule = loadChatbot(editor, options, state, fabModule, apiModule);
+    chatbotModule = loadChatbot(editor, options, state, fabModule, apiModule, reviewModule, blocksModule, pagesModule, threadsModule, slashModule);
 
     // Load Toolbar integration
     toolbarModule = loadToolbar(editor, options, state, chatbotModule);
@@ -144,13 +407,17 @@ export default (editor, opts = {}) => {
    */
   const destroy = () => {
     fabModule?.destroy();
+    toolbarModule?.closeMenu();
     chatbotModule?.destroy();
+    apiModule?.references.destroy();
+    storageModule.destroy();
   };
 
   // Initialize when editor is ready
   editor.on('load', () => {
     initModules();
     loadI18n();
+    storageModule.restore();
   });
 
   // Cleanup when editor is destroyed
@@ -240,19 +507,27 @@ export default (editor, opts = {}) => {
     },
 
     /**
-     * Adds a component ID to the chat input as a badge
-     * @param {string} componentId - The component ID to add
+     * Adds a component to the chat input as a badge, referenced by its persistent id
+     * @param {Object|string} component - The component, or its ID
+     * @param {Object} options - { subtree: also add every component of its layer subtree }
      */
-    addComponent: (componentId) => {
-      chatbotModule?.addComponentBadge(componentId);
+    addComponent: (component, options) => {
+      chatbotModule?.addComponentBadge(component, options);
     },
 
     /**
-     * Removes a component ID from the chat input
-     * @param {string} componentId - The component ID to remove
+     * Removes a component from the chat input
+     * @param {Object|string} component - The component, or its ID
      */
-    removeComponent: (componentId) => {
-      chatbotModule?.removeComponentBadge(componentId);
+    removeComponent: (component) => {
+      chatbotModule?.removeComponentBadge(component);
+    },
+
+    /**
+     * Cancels the in-flight request, if any
+     */
+    cancel: () => {
+      chatbotModule?.cancelRequest();
     },
 
     /**
@@ -264,13 +539,64 @@ export default (editor, opts = {}) => {
     },
 
     /**
-     * Clears the chat history
+     * Gets the rolling summary of the turns no longer sent as context
+     * @returns {string}
+     */
+    getSummary: () => state.summary,
+
+    /**
+     * Clears the chat history of the active thread, and its saved copy
+     * @returns {boolean} - False while a request is in flight
      */
     clearHistory: () => {
+      if (state.isLoading) return false;
       state.history = [];
+      state.summary = '';
       chatbotModule?.renderMessages();
+      storageModule.save();
+      return true;
     },
 
+    /**
+     * Lists the conversation threads
+     * @returns {Object[]} - [{ id, name, messages, active }]
+     */
+    getThreads: () => threadsModule.getAll(),
+
+    /**
+     * Gets the id of the active thread
+     * @returns {string}
+     */
+    getActiveThread: () => state.threadId,
+
+    /**
+     * Creates a thread and switches to it
+     * @param {string} name - Thread name (by default, the start of its first message)
+     * @returns {string|null} - Thread id, or null while a request is in flight
+     */
+    createThread: (name) => threadsModule.create(name),
+
+    /**
+     * Switches to another thread
+     * @param {string} id - Thread id
+     * @returns {boolean} - Whether it is now active (false while a request is in flight)
+     */
+    switchThread: (id) => threadsModule.switchTo(id),
+
+    /**
+     * Renames a thread
+     * @param {string} id - Thread id
+     * @param {string} name - New name
+     */
+    renameThread: (id, name) => threadsModule.rename(id, name),
+
+    /**
+     * Deletes a thread (deleting the active one switches to another)
+     * @param {string} id - Thread id
+     * @returns {boolean} - Whether it was deleted
+     */
+    deleteThread: (id) => threadsModule.remove(id),
+
     /**
      * Gets the pending component IDs
      * @returns {string[]} Array of component IDs
@@ -285,6 +611,172 @@ export default (editor, opts = {}) => {
      */
     isOpen: () => state.isOpen,
 
+    /**
+     * Enables or disables review mode, where AI changes wait for approval.
+     * Switching during a request would apply part of its changes and hold
+     * the rest for review, so the mode can't change until it ends.
+     * @param {boolean} enabled - Whether changes should be reviewed
+     * @returns {boolean} - False while a request is in flight
+     */
+    setReviewMode: (enabled) => {
+      if (state.isLoading) return false;
+      state.reviewMode = !!enabled;
+      return true;
+    },
+
+    /**
+     * Checks if review mode is enabled
+     * @returns {boolean}
+     */
+    isReviewMode: () => state.reviewMode,
+
+    /**
+     * Registers a tool the backend can call
+     * @param {string} name - Tool name
+     * @param {Object} tool - { description, parameters (JSON schema), handler: (args, { editor }) => result }
+     */
+    registerTool: (name, tool) => {
+      toolsModule.register(name, tool);
+    },
+
+    /**
+     * Removes a registered tool
+     * @param {string} name - Tool name
+     */
+    unregisterTool: (name) => {
+      toolsModule.unregister(name);
+    },
+
+    /**
+     * Gets the definitions of the registered tools, as sent to the backend
+     * @returns {Object[]} - [{ name, description, parameters }]
+     */
+    getTools: () => toolsModule.getDefinitions(),
+
+    /**
+     * Lists the quick actions
+     * @returns {Object[]} - [{ label, prompt, send }]
+     */
+    getQuickActions: () => chatbotModule?.getQuickActions() || [],
+
+    /**
+     * Runs a quick action, on the given component or the attached ones
+     * @param {Object|string|number} action - Quick action, its label or its index
+     * @param {Object|string} component - Component (or its ID) to run it on
+     * @returns {Promise<boolean>} - Whether the action ran
+     */
+    runQuickAction: async (action, component) => {
+      if (!chatbotModule) return false;
+      if (!state.isOpen) {
+        state.togglePanel();
+      }
+      return chatbotModule.runQuickAction(action, component ? [component] : []);
+    },
+
+    /**
+     * Runs a prompt on every component matching a selector or type, one turn per
+     * component, and lists the outcome of each one
+     * @param {string} prompt - Prompt sent for every component
+     * @param {Object} options - { selector, type } or { components }
+     * @returns {Promise<Object[]>} - [{ id, status, error }]
+     * @throws {Error} - When the batch can't start (nothing matches, too many components
+     *   or a request is in flight)
+     */
+    runBatch: (prompt, options) => {
+      if (!chatbotModule) return Promise.resolve([]);
+      if (!state.isOpen) {
+        state.togglePanel();
+      }
+      return chatbotModule.runBatch(prompt, options);
+    },
+
+    /**
+     * Registers a slash command for the chat input (`/name arguments`)
+     * @param {string} name - Command name
+     * @param {Object} command - { description, usage, handler: (args, { editor }) => message }
+     */
+    registerSlashCommand: (name, command) => {
+      slashModule.register(name, command);
+    },
+
+    /**
+     * Removes a slash command
+     * @param {string} name - Command name
+     */
+    unregisterSlashCommand: (name) => {
+      slashModule.unregister(name);
+    },
+
+    /**
+     * Lists the slash commands
+     * @returns {Object[]} - [{ name, usage, description }]
+     */
+    getSlashCommands: () => slashModule.getAll(),
+
+    /**
+     * Undoes the most recent AI change that is still applied
+     * @returns {Object} - { success, error }
+     */
+    undoLastChange: () => chatbotModule?.undoLastChange() || { success: false, error: 'The chat is not loaded yet' },
+
+    /**
+     * Gets the editor commands the assistant may run, as sent to the backend
+     * @returns {Object[]} - [{ id, description, confirm }]
+     */
+    getCommands: () => actionsModule.getAvailable(),
+
+    /**
+     * Saves a component as a block in the AI category
+     * @param {Object|string} component - GrapesJS component or component ID
+     * @param {Object} options - { label }
+     * @returns {Object|null} - Block definition ({ id, label, media, content, css })
+     */
+    saveAsBlock: (component, options) => {
+      const target = typeof component === 'string' ? apiModule?.findComponentById(component) : component;
+      return blocksModule.saveComponent(target, options);
+    },
+
+    /**
+     * Asks the assistant for a new block, added to the AI category
+     * @param {string} prompt - Description of the block
+     * @returns {Promise<void>}
+     */
+    generateBlock: async (prompt) => {
+      if (!chatbotModule || state.isLoading) return;
+      if (!state.isOpen) {
+        state.togglePanel();
+      }
+      await chatbotModule.sendTurn(prompt, [], { intent: 'block' });
+    },
+
+    /**
+     * Asks the assistant for a whole page. Where it goes is chosen in the
+     * chat, unless the pages.target option is set.
+     * @param {string} prompt - Description of the page
+     * @returns {Promise<void>}
+     */
+    generatePage: async (prompt) => {
+      if (!chatbotModule || state.isLoading) return;
+      if (!state.isOpen) {
+        state.togglePanel();
+      }
+      await chatbotModule.sendTurn(prompt, [], { intent: 'page' });
+    },
+
+    /**
+     * Gets the blocks added by the plugin
+     * @returns {Object[]} - Block definitions
+     */
+    getBlocks: () => blocksModule.getAll(),
+
+    /**
+     * Removes a block added by the plugin
+     * @param {string} id - Block id
+     */
+    removeBlock: (id) => {
+      blocksModule.remove(id);
+    },
+
     /**
      * Gets the API module for direct access
      * @returns {Object} API module
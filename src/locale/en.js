@@ -14,6 +14,8 @@ export default {
     
     // States
     'loading': 'Thinking...',
+    'retrying': 'Retrying ({attempt}/{maxAttempts})…',
+    'lookingUp': 'Looking up {tools}…',
     'emptyMessage': "Hello! Select components and describe what changes you'd like me to make.",
     
     // Errors
@@ -21,6 +23,20 @@ export default {
     'errorApi': 'API error. Please try again.',
     'errorNoApi': 'API endpoint not configured.',
     'errorNotFound': 'Component not found.',
+    'retryButton': 'Retry',
+
+    // Review
+    'previewButton': 'Preview',
+    'endPreviewButton': 'End preview',
+    'acceptButton': 'Accept',
+    'acceptSomeButton': 'Accept {count}/{total}',
+    'rejectButton': 'Reject',
+    'changesApplied': 'Changes applied ({count}/{total})',
+    'changesRejected': 'Changes rejected',
+
+    // Undo
+    'undoButton': 'Undo this change',
+    'changeUndone': 'Change undone',
     
     // Success messages
     'successUpdate': 'Successfully updated the component.',
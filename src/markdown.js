@@ -0,0 +1,266 @@
+/**
+ * Markdown Module for GrapesJS AI Agent Plugin
+ * Renders assistant replies written in Markdown. The output is built as DOM
+ * nodes with the reply text in text nodes, so replies can't inject HTML.
+ */
+
+// URL schemes allowed in links by default (relative links are always allowed)
+const DEFAULT_LINK_SCHEMES = ['http', 'https', 'mailto'];
+
+// Inline syntax: code, bold, strikethrough, italic and links (URLs may hold one level of parentheses)
+const INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`',
+  '\\*\\*(.+?)\\*\\*',
+  '__(.+?)__',
+  '~~(.+?)~~',
+  '\\*([^*\\s](?:[^*\\n]*[^*\\s])?)\\*',
+  '(?<![\\w])_([^_\\s](?:[^_\\n]*[^_\\s])?)_(?![\\w])',
+  '\\[([^\\]\\n]+)\\]\\(((?:[^()\\s]|\\([^()\\s]*\\))+)(?:\\s+"[^"\\n]*")?\\)'
+].join('|'), 'g');
+
+// Block syntax
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const LIST_PATTERN = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+export default (editor, opts = {}) => {
+  const pfx = opts.classPrefix || 'gaia';
+  const config = opts.markdown || {};
+  const enabled = opts.markdown !== false;
+  const linkSchemes = (config.linkSchemes || DEFAULT_LINK_SCHEMES).map((scheme) => scheme.toLowerCase());
+
+  /**
+   * Checks whether a link URL may be rendered as a link
+   * @param {string} url - Link URL
+   * @returns {boolean}
+   */
+  const isSafeUrl = (url) => {
+    // Browsers ignore whitespace and control characters in schemes
+    const value = url.replace(/[\x00-\x20\x7f-\x9f]/g, '');
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || linkSchemes.includes(scheme[1].toLowerCase());
+  };
+
+  /**
+   * Creates an element with a class
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name, without the prefix
+   * @returns {HTMLElement}
+   */
+  const createElement = (tag, className) => {
+    const el = document.createElement(tag);
+    if (className) {
+      el.className = `${pfx}-${className}`;
+    }
+    return el;
+  };
+
+  /**
+   * Renders inline Markdown into a parent element
+   * @param {string} text - Text of a block
+   * @param {HTMLElement} parent - Element receiving the nodes
+   */
+  const renderInline = (text, parent) => {
+    let last = 0;
+    text.replace(INLINE_PATTERN, (match, code, bold, boldAlt, strike, italic, italicAlt, linkText, url, offset) => {
+      if (offset > last) {
+        parent.appendChild(document.createTextNode(text.slice(last, offset)));
+      }
+      last = offset + match.length;
+
+      let el;
+      if (code !== undefined) {
+        el = createElement('code', 'md-code');
+        el.textContent = code;
+      } else if (linkText !== undefined) {
+        if (!isSafeUrl(url)) {
+          // Unsafe links keep their text only
+          renderInline(linkText, parent);
+          return match;
+        }
+        el = document.createElement('a');
+        el.href = url;
+        el.target = '_blank';
+        el.rel = 'noopener noreferrer';
+        renderInline(linkText, el);
+      } else {
+        const tag = strike !== undefined ? 's' : bold !== undefined || boldAlt !== undefined ? 'strong' : 'em';
+        el = document.createElement(tag);
+        renderInline(bold ?? boldAlt ?? strike ?? italic ?? italicAlt, el);
+      }
+      parent.appendChild(el);
+      return match;
+    });
+
+    if (last < text.length) {
+      parent.appendChild(document.createTextNode(text.slice(last)));
+    }
+  };
+
+  /**
+   * Renders lines of text, keeping single line breaks
+   * @param {string[]} lines - Lines of the block
+   * @param {HTMLElement} parent - Element receiving the nodes
+   */
+  const renderLines = (lines, parent) => {
+    lines.forEach((line, index) => {
+      if (index > 0) {
+        parent.appendChild(document.createElement('br'));
+      }
+      renderInline(line.trim(), parent);
+    });
+  };
+
+  /**
+   * Renders a fenced code block, with a button copying its code
+   * @param {string} code - Code
+   * @param {string} language - Language given after the fence
+   * @returns {HTMLElement}
+   */
+  const renderCodeBlock = (code, language) => {
+    const container = createElement('div', 'md-code-block');
+
+    const header = createElement('div', 'md-code-header');
+    const label = createElement('span', 'md-code-lang');
+    label.textContent = language || 'code';
+    header.appendChild(label);
+
+    const copyBtn = createElement('button', 'md-copy-btn');
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', () => {
+      const done = (text) => {
+        copyBtn.textContent = text;
+        setTimeout(() => {
+          copyBtn.textContent = 'Copy';
+        }, 1500);
+      };
+      if (!navigator.clipboard) {
+        done('Copy failed');
+        return;
+      }
+      navigator.clipboard.writeText(code).then(() => done('Copied'), () => done('Copy failed'));
+    });
+    header.appendChild(copyBtn);
+    container.appendChild(header);
+
+    const pre = document.createElement('pre');
+    const codeEl = document.createElement('code');
+    codeEl.textContent = code;
+    pre.appendChild(codeEl);
+    container.appendChild(pre);
+    return container;
+  };
+
+  /**
+   * Renders Markdown text: paragraphs, headings, lists, quotes, rules,
+   * fenced code blocks and inline code, emphasis and links
+   * @param {string} text - Markdown text
+   * @returns {HTMLElement} - Element holding the rendered blocks
+   */
+  const render = (text) => {
+    const container = createElement('div', 'markdown');
+    const lines = String(text || '').split(/\r?\n/);
+
+    let paragraph = [];
+    let list = null;
+    let quote = [];
+
+    const flush = () => {
+      if (paragraph.length) {
+        const p = document.createElement('p');
+        renderLines(paragraph, p);
+        container.appendChild(p);
+        paragraph = [];
+      }
+      if (quote.length) {
+        const blockquote = document.createElement('blockquote');
+        renderLines(quote, blockquote);
+        container.appendChild(blockquote);
+        quote = [];
+      }
+      list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      const fence = line.match(FENCE_PATTERN);
+      if (fence) {
+        flush();
+        // An unclosed fence (e.g. while streaming) runs to the end
+        const code = [];
+        for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+          code.push(lines[i]);
+        }
+        container.appendChild(renderCodeBlock(code.join('\n'), fence[2]));
+        continue;
+      }
+
+      if (!line.trim()) {
+        flush();
+        continue;
+      }
+
+      const heading = line.match(HEADING_PATTERN);
+      if (heading) {
+        flush();
+        const el = createElement('div', `md-heading ${pfx}-md-h${heading[1].length}`);
+        renderInline(heading[2].replace(/\s#+\s*$/, ''), el);
+        container.appendChild(el);
+        continue;
+      }
+
+      if (RULE_PATTERN.test(line)) {
+        flush();
+        container.appendChild(document.createElement('hr'));
+        continue;
+      }
+
+      const item = line.match(LIST_PATTERN);
+      if (item) {
+        const ordered = /\d/.test(item[1]);
+        const tag = ordered ? 'OL' : 'UL';
+        if (!list || list.tagName !== tag) {
+          flush();
+          list = document.createElement(tag);
+          if (ordered && parseInt(item[1], 10) !== 1) {
+            list.start = parseInt(item[1], 10);
+          }
+          container.appendChild(list);
+        }
+        const li = document.createElement('li');
+        renderInline(item[2], li);
+        list.appendChild(li);
+        continue;
+      }
+
+      const quoted = line.match(QUOTE_PATTERN);
+      if (quoted) {
+        if (paragraph.length || list) flush();
+        quote.push(quoted[1]);
+        continue;
+      }
+
+      // Indented lines continue the previous list item
+      if (list && /^\s+/.test(line)) {
+        const li = list.lastElementChild;
+        li.appendChild(document.createElement('br'));
+        renderInline(line.trim(), li);
+        continue;
+      }
+
+      if (quote.length || list) flush();
+      paragraph.push(line);
+    }
+    flush();
+
+    return container;
+  };
+
+  return {
+    enabled,
+    render
+  };
+};
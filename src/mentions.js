@@ -0,0 +1,249 @@
+/**
+ * Mentions Module for GrapesJS AI Agent Plugin
+ * Autocompletes `@` mentions in the chat input over the component tree,
+ * attaching the chosen component as a badge
+ */
+
+// Maximum number of characters of text searched per component
+const SEARCH_TEXT_LENGTH = 200;
+
+// Mention being typed right before the caret: `@` at the start or after a space
+const MENTION_PATTERN = /(^|\s)@([^\s@]*)$/;
+
+export default (editor, opts = {}, apiModule) => {
+  const pfx = opts.classPrefix || 'gaia';
+  const config = opts.mentions || {};
+  const enabled = opts.mentions !== false;
+  const limit = config.limit || 8;
+
+  let inputEl = null;
+  let listEl = null;
+  let onSelect = null;
+
+  // Open suggestions: { start, matches, active }, start being the index of the `@`
+  let current = null;
+
+  /**
+   * Gets the text of a component to search in
+   * @param {Object} component - GrapesJS component
+   * @returns {string}
+   */
+  const getText = (component) => {
+    const text = component.getEl?.()?.textContent ?? component.toHTML().replace(/<[^>]*>/g, ' ');
+    return text.trim().replace(/\s+/g, ' ').slice(0, SEARCH_TEXT_LENGTH);
+  };
+
+  /**
+   * Scores how well a component matches a query
+   * @param {Object} component - GrapesJS component
+   * @param {string} query - Lowercase query
+   * @returns {number} - 0 when it doesn't match, higher is better
+   */
+  const score = (component, query) => {
+    if (!query) return 1;
+
+    const name = component.getName().toLowerCase();
+    if (name.startsWith(query)) return 5;
+    if (name.includes(query)) return 4;
+
+    const keys = [component.get('type'), component.getId(), component.get('tagName')];
+    if (keys.some((key) => String(key || '').toLowerCase().startsWith(query))) return 3;
+    if (keys.some((key) => String(key || '').toLowerCase().includes(query))) return 2;
+
+    return getText(component).toLowerCase().includes(query) ? 1 : 0;
+  };
+
+  /**
+   * Finds the components matching a query, best matches first
+   * @param {string} query - Text typed after `@`
+   * @returns {Object[]} - GrapesJS components
+   */
+  const search = (query) => {
+    const wrapper = editor.getWrapper();
+    if (!wrapper) return [];
+
+    const needle = query.toLowerCase();
+    const found = [];
+    const visit = (component) => {
+      component.components().forEach((child) => {
+        if (child.get('type') !== 'textnode' && child.get('selectable') !== false) {
+          const value = score(child, needle);
+          if (value) found.push({ component: child, value, order: found.length });
+        }
+        visit(child);
+      });
+    };
+    visit(wrapper);
+
+    return found
+      .sort((a, b) => b.value - a.value || a.order - b.order)
+      .slice(0, limit)
+      .map((item) => item.component);
+  };
+
+  /**
+   * Closes the suggestions
+   */
+  const close = () => {
+    current = null;
+    if (listEl) {
+      listEl.hidden = true;
+      listEl.innerHTML = '';
+    }
+    editor.getModel().setHovered(null);
+  };
+
+  /**
+   * Renders the suggestions
+   */
+  const render = () => {
+    listEl.innerHTML = '';
+    listEl.hidden = false;
+
+    if (!current.matches.length) {
+      const empty = document.createElement('div');
+      empty.className = `${pfx}-mention-empty`;
+      empty.textContent = 'No matching components';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    current.matches.forEach((component, index) => {
+      const item = document.createElement('div');
+      item.className = `${pfx}-mention`;
+      item.setAttribute('role', 'option');
+      if (index === current.active) {
+        item.classList.add(`${pfx}-mention-active`);
+        item.setAttribute('aria-selected', 'true');
+      }
+
+      const label = document.createElement('span');
+      label.className = `${pfx}-mention-label`;
+      label.textContent = apiModule.references.getLabel(component);
+      item.appendChild(label);
+
+      const meta = document.createElement('span');
+      meta.className = `${pfx}-mention-meta`;
+      meta.textContent = `<${component.get('tagName') || 'div'}> #${component.getId()}`;
+      item.appendChild(meta);
+
+      // mousedown, so the input keeps the focus
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        choose(index);
+      });
+      item.addEventListener('mouseenter', () => setActive(index));
+      listEl.appendChild(item);
+    });
+
+    listEl.querySelector(`.${pfx}-mention-active`)?.scrollIntoView?.({ block: 'nearest' });
+  };
+
+  /**
+   * Moves the keyboard selection, highlighting the component in the canvas
+   * @param {number} index - Index of the suggestion
+   */
+  const setActive = (index) => {
+    if (!current || !current.matches.length) return;
+    const count = current.matches.length;
+    current.active = (index + count) % count;
+    editor.getModel().setHovered(current.matches[current.active]);
+    render();
+  };
+
+  /**
+   * Attaches a suggested component and removes the mention from the input
+   * @param {number} index - Index of the suggestion
+   */
+  const choose = (index) => {
+    const component = current?.matches[index];
+    if (!component) return;
+
+    const caret = inputEl.selectionStart;
+    const before = inputEl.value.slice(0, current.start);
+    const after = inputEl.value.slice(caret).replace(/^ /, '');
+    inputEl.value = before + after;
+    inputEl.setSelectionRange(before.length, before.length);
+
+    close();
+    onSelect(component);
+  };
+
+  /**
+   * Updates the suggestions from the text before the caret
+   */
+  const update = () => {
+    const caret = inputEl.selectionStart;
+    const match = inputEl.selectionEnd === caret && inputEl.value.slice(0, caret).match(MENTION_PATTERN);
+    if (!match) {
+      close();
+      return;
+    }
+
+    current = {
+      start: caret - match[2].length - 1,
+      matches: search(match[2]),
+      active: 0
+    };
+    render();
+  };
+
+  /**
+   * Handles the keys navigating the suggestions
+   * @param {KeyboardEvent} e - keydown event of the input
+   * @returns {boolean} - Whether the key was handled (and shouldn't submit)
+   */
+  const handleKeyDown = (e) => {
+    if (!current) return false;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        setActive(current.active + 1);
+        break;
+      case 'ArrowUp':
+        setActive(current.active - 1);
+        break;
+      case 'Enter':
+      case 'Tab':
+        if (!current.matches.length) return false;
+        choose(current.active);
+        break;
+      case 'Escape':
+        close();
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  };
+
+  /**
+   * Hooks the autocomplete to the chat input
+   * @param {HTMLTextAreaElement} input - Chat input
+   * @param {HTMLElement} container - Element the suggestions are shown in
+   * @param {Function} select - Called with the chosen component
+   */
+  const attach = (input, container, select) => {
+    if (!enabled) return;
+
+    inputEl = input;
+    onSelect = select;
+    listEl = document.createElement('div');
+    listEl.className = `${pfx}-mentions`;
+    listEl.setAttribute('role', 'listbox');
+    listEl.hidden = true;
+    container.appendChild(listEl);
+
+    inputEl.addEventListener('input', update);
+    inputEl.addEventListener('blur', close);
+  };
+
+  return {
+    enabled,
+    attach,
+    handleKeyDown,
+    close,
+    search
+  };
+};
@@ -0,0 +1,177 @@
+/**
+ * Pages Module for GrapesJS AI Agent Plugin
+ * Applies whole pages generated by the assistant: replacing the current
+ * page, appending to it, or adding a new page through editor.Pages
+ */
+
+// Where a generated page can go, with the label of its button
+const TARGETS = {
+  replace: 'Replace page',
+  append: 'Append to page',
+  new: 'Add as new page'
+};
+
+export default (editor, opts = {}, apiModule) => {
+  const pfx = opts.classPrefix || 'gaia';
+  const config = opts.pages || {};
+  const enabled = opts.pages !== false;
+
+  /**
+   * Builds a generated page from the `page` field of a response,
+   * sanitizing its HTML and CSS
+   * @param {Object} page - { name, html, css }
+   * @returns {Object|null} - { status: 'pending', name, html, css, removed },
+   *   or null when the response has no page
+   */
+  const createPage = (page) => {
+    if (!enabled || !page || typeof page.html !== 'string') return null;
+
+    const html = apiModule.sanitizer.sanitizeHtml(page.html);
+    const css = apiModule.sanitizer.sanitizeCss(typeof page.css === 'string' ? page.css : '');
+
+    return {
+      status: 'pending',
+      name: typeof page.name === 'string' && page.name.trim() ? page.name.trim() : 'New page',
+      html: html.html,
+      css: css.css,
+      removed: [...html.removed, ...css.removed]
+    };
+  };
+
+  /**
+   * Applies a generated page. Every target is recorded in the page's
+   * transaction (see the undo module), so it can be undone as one step.
+   * A new page gets its CSS scoped to its wrapper, so it doesn't style
+   * the other pages.
+   * @param {Object} generated - Page from createPage
+   * @param {string} target - 'replace', 'append' or 'new'
+   * @returns {Object} - The updated page, with `status` set to the target
+   *   (or 'failed', with an `error`)
+   */
+  const apply = (generated, target) => {
+    if (generated.status !== 'pending') return generated;
+
+    try {
+      if (!TARGETS[target]) {
+        throw new Error(`Unknown page target "${target}"`);
+      }
+
+      if (target === 'new') {
+        if (!editor.Pages) {
+          throw new Error('Pages are not available in this editor');
+        }
+        apiModule.undo.record(generated.transaction, () => {
+          const page = editor.Pages.add({ name: generated.name, component: generated.html }, { select: true });
+          const wrapper = page.getMainComponent();
+          if (generated.css) {
+            // The id is exported, so the scoped rules match outside the editor too
+            wrapper.addAttributes({ id: wrapper.getId() });
+            editor.Css.addRules(apiModule.css.scopeCss(generated.css, `#${wrapper.getId()}`));
+          }
+          generated.pageId = page.getId();
+        });
+      } else {
+        apiModule.undo.record(generated.transaction, () => {
+          const wrapper = editor.getWrapper();
+          if (target === 'replace') {
+            [...wrapper.components().models].forEach((component) => component.remove());
+          }
+          wrapper.append(generated.html);
+          if (generated.css) {
+            editor.Css.addRules(generated.css);
+          }
+        });
+      }
+
+      generated.status = target;
+      editor.refresh();
+    } catch (error) {
+      console.error('Failed to apply the generated page:', error);
+      generated.status = 'failed';
+      generated.error = error.message;
+    }
+
+    return generated;
+  };
+
+  /**
+   * Discards a generated page
+   * @param {Object} generated - Page from createPage
+   */
+  const discard = (generated) => {
+    if (generated.status === 'pending') {
+      generated.status = 'discarded';
+    }
+  };
+
+  /**
+   * Applies a generated page right away when the `pages.target` option is set
+   * @param {Object} generated - Page from createPage
+   * @returns {Object} - The page
+   */
+  const applyDefault = (generated) => {
+    return config.target ? apply(generated, config.target) : generated;
+  };
+
+  /**
+   * Renders the choice of where a generated page goes, or its outcome
+   * @param {Object} generated - Page from createPage
+   * @param {Function} onChange - Called after any decision, to re-render the chat
+   * @returns {HTMLElement}
+   */
+  const renderPage = (generated, onChange) => {
+    const container = document.createElement('div');
+    container.className = `${pfx}-page`;
+
+    const title = document.createElement('div');
+    title.className = `${pfx}-page-title`;
+    title.textContent = generated.name;
+    container.appendChild(title);
+
+    const footer = document.createElement('div');
+    footer.className = `${pfx}-page-actions`;
+
+    if (generated.status === 'pending') {
+      const addButton = (text, onClick, extraClass = '') => {
+        const btn = document.createElement('button');
+        btn.className = `${pfx}-page-btn ${extraClass}`.trim();
+        btn.textContent = text;
+        btn.addEventListener('click', () => {
+          onClick();
+          onChange();
+        });
+        footer.appendChild(btn);
+      };
+
+      Object.entries(TARGETS).forEach(([target, label]) => {
+        if (target === 'new' && !editor.Pages) return;
+        addButton(label, () => apply(generated, target));
+      });
+      addButton('Discard', () => discard(generated), `${pfx}-page-discard`);
+    } else {
+      const statusLabels = {
+        replace: 'Replaced the current page',
+        append: 'Appended to the current page',
+        new: `Added as page "${generated.name}"`,
+        discarded: 'Page discarded',
+        failed: `Failed: ${generated.error}`
+      };
+      const status = document.createElement('span');
+      status.className = `${pfx}-page-status`;
+      status.textContent = statusLabels[generated.status] || '';
+      footer.appendChild(status);
+    }
+
+    container.appendChild(footer);
+    return container;
+  };
+
+  return {
+    enabled,
+    createPage,
+    apply,
+    applyDefault,
+    discard,
+    renderPage
+  };
+};
@@ -0,0 +1,105 @@
+/**
+ * Prompts Module for GrapesJS AI Agent Plugin
+ * Library of quick actions: prompts run in one click, from chips in the
+ * panel or the component toolbar, filled in with the components they run on
+ */
+
+// Placeholders of quick-action templates
+const PLACEHOLDER_PATTERN = /\{(component|text|tag)\}/g;
+
+// Maximum number of characters of text a {text} placeholder is filled with
+const TEXT_LENGTH = 500;
+
+export default (editor, opts = {}, apiModule) => {
+  const pfx = opts.classPrefix || 'gaia';
+
+  /**
+   * Normalizes the configured quick actions. Strings are used as both label and prompt.
+   * @returns {Object[]} - [{ label, prompt, send }]
+   */
+  const normalize = () => {
+    const items = Array.isArray(opts.quickActions) ? opts.quickActions : [];
+    return items
+      .map((item) => (typeof item === 'string' ? { label: item, prompt: item } : item))
+      .filter((item) => item && item.label && item.prompt);
+  };
+
+  const actions = normalize();
+  const enabled = actions.length > 0;
+
+  /**
+   * Gets the text of a component
+   * @param {Object} component - GrapesJS component
+   * @returns {string}
+   */
+  const getText = (component) => {
+    const text = component.getEl?.()?.textContent ?? component.toHTML().replace(/<[^>]*>/g, ' ');
+    return text.trim().replace(/\s+/g, ' ').slice(0, TEXT_LENGTH);
+  };
+
+  /**
+   * Finds a quick action
+   * @param {Object|string|number} action - Quick action, its label or its index
+   * @returns {Object|undefined}
+   */
+  const find = (action) => {
+    if (typeof action === 'number') return actions[action];
+    if (typeof action === 'string') return actions.find((item) => item.label === action);
+    return action?.prompt ? action : undefined;
+  };
+
+  /**
+   * Fills in the prompt of a quick action. In templates, {component} is the
+   * label of the components (or "the page" without any), {text} the text of
+   * the first one and {tag} its tag name. Function prompts get the components.
+   * @param {Object} action - Quick action
+   * @param {Object[]} components - GrapesJS components it runs on
+   * @returns {string}
+   */
+  const fill = (action, components = []) => {
+    if (typeof action.prompt === 'function') {
+      return String(action.prompt(components, { editor }) || '').trim();
+    }
+
+    const [first] = components;
+    const values = {
+      component: components.length
+        ? components.map((component) => apiModule.references.getLabel(component)).join(', ')
+        : 'the page',
+      text: first ? getText(first) : '',
+      tag: first ? first.get('tagName') || '' : ''
+    };
+    return action.prompt.replace(PLACEHOLDER_PATTERN, (match, name) => values[name]).trim();
+  };
+
+  /**
+   * Renders the quick actions as chips
+   * @param {Function} onRun - Called with the chosen quick action
+   * @returns {HTMLElement}
+   */
+  const renderChips = (onRun) => {
+    const container = document.createElement('div');
+    container.className = `${pfx}-quick-actions`;
+
+    actions.forEach((action) => {
+      const chip = document.createElement('button');
+      chip.className = `${pfx}-quick-action`;
+      chip.textContent = action.label;
+      if (typeof action.prompt === 'string') {
+        chip.title = action.prompt;
+      }
+      chip.addEventListener('click', () => onRun(action));
+      container.appendChild(chip);
+    });
+
+    return container;
+  };
+
+  return {
+    enabled,
+    getAll: () => [...actions],
+    find,
+    fill,
+    renderChips
+  };
+};
@@ -0,0 +1,254 @@
+/**
+ * References Module for GrapesJS AI Agent Plugin
+ * Gives the components referenced in the chat persistent ids, stored in an
+ * attribute so they survive reloads, re-parsing and replaced content
+ */
+
+// Maximum number of characters of text shown in component labels
+const LABEL_TEXT_LENGTH = 24;
+
+export default (editor, opts = {}) => {
+  const pfx = opts.classPrefix || 'gaia';
+  const attribute = opts.referenceAttribute || `data-${pfx}-id`;
+
+  // Components of the current page by persistent id, id and cid. Built on
+  // first use, then kept up to date as components are added and removed.
+  let index = null;
+
+  /**
+   * Creates a new reference id
+   * @returns {string}
+   */
+  const createRef = () => `${pfx}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+  /**
+   * Gets the persistent id of a component, assigning one if needed.
+   * Assigning it is not recorded in the UndoManager.
+   * @param {Object} component - GrapesJS component
+   * @returns {string}
+   */
+  const getRef = (component) => {
+    let ref = component.getAttributes()[attribute];
+    if (!ref) {
+      ref = attribute === 'id' ? component.getId() : createRef();
+      component.addAttributes({ [attribute]: ref }, { avoidStore: true });
+      index?.set(ref, component);
+    }
+    return ref;
+  };
+
+  /**
+   * Checks whether a component is the one an id refers to, by persistent id,
+   * id attribute or cid
+   * @param {Object} component - GrapesJS component
+   * @param {string} id - Reference id
+   * @returns {boolean}
+   */
+  const matches = (component, id) => {
+    return component.getAttributes()[attribute] === id || component.getId() === id || component.cid === id;
+  };
+
+  /**
+   * Gets the keys a component is indexed by
+   * @param {Object} component - GrapesJS component
+   * @returns {string[]}
+   */
+  const getKeys = (component) => {
+    return [component.getAttributes()[attribute], component.getId(), component.cid].filter(Boolean);
+  };
+
+  /**
+   * Adds a subtree to the index
+   * @param {Object} component - Root of the subtree
+   */
+  const indexTree = (component) => {
+    getKeys(component).forEach((key) => index.set(key, component));
+    component.components().forEach(indexTree);
+  };
+
+  /**
+   * Removes a subtree from the index
+   * @param {Object} component - Root of the subtree
+   */
+  const unindexTree = (component) => {
+    getKeys(component).forEach((key) => {
+      if (index.get(key) === component) {
+        index.delete(key);
+      }
+    });
+    component.components().forEach(unindexTree);
+  };
+
+  /**
+   * Checks whether a component is in the current page
+   * @param {Object} component - GrapesJS component
+   * @returns {boolean}
+   */
+  const isInPage = (component) => {
+    let root = component;
+    while (root.parent()) {
+      root = root.parent();
+    }
+    return root === editor.getWrapper();
+  };
+
+  /**
+   * Indexes the components of the current page from scratch
+   */
+  const buildIndex = () => {
+    index = new Map();
+    const wrapper = editor.getWrapper();
+    if (wrapper) indexTree(wrapper);
+  };
+
+  /**
+   * Finds a component of the current page by persistent id, id attribute
+   * or cid. The index is rebuilt from the component tree on a miss, in case
+   * it missed a change, so the result is the same as walking the tree.
+   * @param {string} id - Reference id
+   * @returns {Object|null} - GrapesJS component or null
+   */
+  const find = (id) => {
+    if (!index) buildIndex();
+
+    const component = index.get(id);
+    if (component && matches(component, id) && isInPage(component)) return component;
+
+    buildIndex();
+    return index.get(id) || null;
+  };
+
+  /**
+   * Gets a label users can recognize a component by
+   * @param {Object} component - GrapesJS component
+   * @returns {string} - Its name (or type), with the start of its text
+   */
+  const getLabel = (component) => {
+    const name = component.getName();
+    const text = (component.getEl?.()?.textContent ?? component.toHTML().replace(/<[^>]*>/g, ' '))
+      .trim()
+      .replace(/\s+/g, ' ');
+    if (!text) return name;
+    return `${name}: "${text.length > LABEL_TEXT_LENGTH ? `${text.slice(0, LABEL_TEXT_LENGTH)}…` : text}"`;
+  };
+
+  /**
+   * Collects the persistent ids in a subtree by position, before it is replaced
+   * @param {Object} component - Root of the subtree
+   * @param {Object} options - Options
+   * @param {boolean} options.children - Only collect the children's subtrees
+   * @returns {Object[]} - [{ path, tagName, ref }], path being the child indexes from the root
+   */
+  const snapshot = (component, options = {}) => {
+    const entries = [];
+    const collect = (cmp, path) => {
+      const ref = cmp.getAttributes()[attribute];
+      if (ref && !(options.children && !path.length)) {
+        entries.push({ path, tagName: cmp.get('tagName'), ref });
+      }
+      cmp.components().forEach((child, index) => collect(child, [...path, index]));
+    };
+    collect(component, []);
+    return entries;
+  };
+
+  /**
+   * Moves the persistent ids of a snapshot to the components now at the same
+   * positions, when they have the same tag. When a replacement already has
+   * another persistent id, the reference is renamed instead
+   * (`<classPrefix>:reference:change` is triggered with { from, to }).
+   * Components with no counterpart are left missing.
+   * @param {Object[]} entries - Snapshot taken before the replacement
+   * @param {Object} component - Root of the new subtree
+   */
+  const migrate = (entries, component) => {
+    if (!component) return;
+
+    entries.forEach(({ path, tagName, ref }) => {
+      const target = path.reduce((cmp, index) => cmp?.components().at(index), component);
+      if (!target || target.get('tagName') !== tagName) return;
+
+      const current = target.getAttributes()[attribute];
+      if (!current) {
+        target.addAttributes({ [attribute]: ref });
+      } else if (current !== ref) {
+        editor.trigger(`${pfx}:reference:change`, { from: ref, to: current });
+      }
+    });
+  };
+
+  /**
+   * Indexes a component added to the page
+   * @param {Object} component - GrapesJS component
+   */
+  const handleAdd = (component) => {
+    if (index && isInPage(component)) indexTree(component);
+  };
+
+  /**
+   * Removes a component removed from the page from the index
+   * @param {Object} component - GrapesJS component
+   */
+  const handleRemove = (component) => {
+    if (index) unindexTree(component);
+  };
+
+  /**
+   * Indexes a component by its new id or persistent id
+   * @param {Object} component - GrapesJS component
+   */
+  const handleAttributes = (component) => {
+    if (index && isInPage(component)) getKeys(component).forEach((key) => index.set(key, component));
+  };
+
+  /**
+   * Drops the index when the page changes; it is rebuilt on the next lookup
+   */
+  const handlePageChange = () => {
+    index = null;
+  };
+
+  /**
+   * Removes the persistent id from copies: the original keeps the reference
+   * @param {Object} clone - Copied component
+   */
+  const handleClone = (clone) => {
+    if (clone?.getAttributes?.()[attribute]) {
+      clone.removeAttributes(attribute, { avoidStore: true });
+    }
+  };
+
+  /**
+   * Removes the editor listeners
+   */
+  const destroy = () => {
+    editor.off('component:add', handleAdd);
+    editor.off('component:remove', handleRemove);
+    editor.off('component:update:attributes', handleAttributes);
+    editor.off('page:select project:load', handlePageChange);
+    editor.off('component:clone', handleClone);
+    index = null;
+  };
+
+  // Keep the index in sync with the page; it is rebuilt when the page changes
+  editor.on('component:add', handleAdd);
+  editor.on('component:remove', handleRemove);
+  editor.on('component:update:attributes', handleAttributes);
+  editor.on('page:select project:load', handlePageChange);
+
+  // Copies keep their own identity
+  if (attribute !== 'id') {
+    editor.on('component:clone', handleClone);
+  }
+
+  return {
+    attribute,
+    getRef,
+    getLabel,
+    matches,
+    find,
+    snapshot,
+    migrate,
+    destroy
+  };
+};
@@ -0,0 +1,42 @@
+/**
+ * Retry Module for GrapesJS AI Agent Plugin
+ * Decides whether a failed request is retried, and after how long
+ */
+
+export default (editor, opts = {}) => {
+  const retryPolicy = opts.retry || { maxAttempts: 1 };
+
+  /**
+   * Computes how long to wait before retrying a failed attempt
+   * @param {Error} error - Error thrown by the attempt
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   * @returns {number|null} - Delay in milliseconds, or null if the error should not be retried
+   */
+  const getRetryDelay = (error, attempt) => {
+    if (attempt >= (retryPolicy.maxAttempts || 1)) return null;
+
+    // Transports may flag errors explicitly; otherwise judge by status or network failure
+    let retryable = error.retryable;
+    if (typeof retryable !== 'boolean') {
+      retryable = error.status
+        ? (retryPolicy.statuses || []).includes(error.status)
+        : ['TypeError', 'TimeoutError'].includes(error.name) && retryPolicy.networkErrors !== false;
+    }
+    if (!retryable) return null;
+
+    const maxDelay = retryPolicy.maxDelay || 30000;
+
+    // The server knows best; give up if it asks to wait longer than allowed
+    if (error.retryAfter != null) {
+      return error.retryAfter <= maxDelay ? error.retryAfter : null;
+    }
+
+    const backoff = Math.min(maxDelay, (retryPolicy.baseDelay || 1000) * Math.pow(2, attempt - 1));
+    return retryPolicy.jitter === false ? backoff : backoff / 2 + Math.random() * backoff / 2;
+  };
+
+  return {
+    policy: retryPolicy,
+    getRetryDelay
+  };
+};
@@ -0,0 +1,487 @@
+/**
+ * Review Module for GrapesJS AI Agent Plugin
+ * Lets users inspect AI changes before they are applied: per-change
+ * before/after diffs, a live canvas preview and Accept / Reject actions
+ */
+
+// Diffs above this many lines per side are shown as plain before/after
+const MAX_DIFF_LINES = 300;
+
+export default (editor, opts = {}, apiModule) => {
+  const pfx = opts.classPrefix || 'gaia';
+  const previewAttr = `data-${pfx}-preview`;
+
+  // Review currently previewed in the canvas, and how to undo the preview
+  let activePreview = null;
+  let previewCleanups = [];
+
+  /**
+   * Splits HTML/CSS into lines, one tag or rule per line
+   * @param {string} text - HTML or CSS text
+   * @returns {string[]}
+   */
+  const toLines = (text) => {
+    if (!text) return [];
+    return text
+      .replace(/>\s*</g, '>\n<')
+      .replace(/}\s*/g, '}\n')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean);
+  };
+
+  /**
+   * Computes a line diff between two texts (longest common subsequence)
+   * @param {string} before - Original text
+   * @param {string} after - New text
+   * @returns {Object[]} - [{ type: 'same' | 'removed' | 'added', text }]
+   */
+  const diffLines = (before, after) => {
+    const a = toLines(before);
+    const b = toLines(after);
+
+    if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+      return [
+        ...a.map((text) => ({ type: 'removed', text })),
+        ...b.map((text) => ({ type: 'added', text }))
+      ];
+    }
+
+    // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        result.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'removed', text: a[i++] });
+      } else {
+        result.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) result.push({ type: 'added', text: b[j++] });
+
+    return result;
+  };
+
+  /**
+   * Inserts HTML right before the closing tag of an element's HTML
+   * @param {string} outerHtml - Element HTML
+   * @param {string} html - HTML to insert
+   * @returns {string}
+   */
+  const insertBeforeClosingTag = (outerHtml, html) => {
+    const match = outerHtml.match(/<\/[^>]+>\s*$/);
+    return match
+      ? outerHtml.slice(0, match.index) + html + match[0]
+      : outerHtml + html;
+  };
+
+  /**
+   * Describes an operation for review: label and before/after HTML
+   * @param {Object} operation - Operation from the response
+   * @returns {Object} - { label, before, after, previewable }
+   */
+  const describeOperation = (operation) => {
+    const { op, id, html = '', target, position = 'append' } = operation;
+    const component = apiModule.findComponentById(id);
+    const before = component ? component.toHTML() : '';
+    const label = `${op} · ${id}`;
+
+    switch (op) {
+      case 'replace':
+      case 'replaceOuter':
+        return { label, before, after: html, previewable: true };
+      case 'insertBefore':
+        return { label, before, after: html + before, previewable: true };
+      case 'insertAfter':
+        return { label, before, after: before + html, previewable: true };
+      case 'append':
+        return { label, before, after: insertBeforeClosingTag(before, html), previewable: true };
+      case 'remove':
+        return { label, before, after: '', previewable: true };
+      case 'wrap':
+        return { label, before, after: insertBeforeClosingTag(html, before), previewable: false };
+      case 'move':
+        return { label: `${label} → ${position} ${target}`, before, after: before, previewable: false };
+      default:
+        return { label, before, after: html, previewable: false };
+    }
+  };
+
+  /**
+   * Builds a review from an API response, capturing the current state of
+   * each affected component or rule as the "before" side
+   * @param {Object} response - API response with modifications, operations and styles
+   * @returns {Object|null} - Review, or null if the response carries no changes
+   */
+  const createReview = (response = {}) => {
+    const changes = [];
+
+    const operations = [
+      ...Object.entries(response.modifications || {}).map(([id, html]) => ({ op: 'replace', id, html })),
+      ...(Array.isArray(response.operations) ? response.operations : [])
+    ];
+
+    // Review what would actually be applied, after sanitizing
+    const removed = [];
+
+    operations.forEach((operation) => {
+      if (!operation || typeof operation !== 'object') return;
+      const sanitized = apiModule.sanitizer.sanitizeHtml(operation.html);
+      removed.push(...sanitized.removed.map((item) => ({ ...item, id: operation.id })));
+      const change = { ...operation, html: sanitized.html };
+      changes.push({
+        kind: 'operation',
+        change,
+        selected: true,
+        ...describeOperation(change)
+      });
+    });
+
+    (Array.isArray(response.styles) ? response.styles : []).forEach((style) => {
+      if (!style || typeof style !== 'object') return;
+      const sanitized = apiModule.sanitizer.sanitizeStyle(style);
+      removed.push(...sanitized.removed);
+      const change = sanitized.change;
+      if (!change) return;
+      let described;
+      try {
+        described = apiModule.css.describeStyle(change);
+      } catch (error) {
+        described = { selector: change.selector || change.id, before: '', after: '' };
+      }
+      const media = change.media ? ` @media ${change.media}` : '';
+      changes.push({
+        kind: 'style',
+        change,
+        selected: true,
+        label: `${change.remove ? 'remove style' : 'style'} · ${described.selector}${media}`,
+        before: described.before,
+        after: described.after,
+        previewable: !change.remove && !!described.after
+      });
+    });
+
+    if (!changes.length) return null;
+
+    return {
+      status: 'pending',
+      changes,
+      removed
+    };
+  };
+
+  /**
+   * Parses HTML into inert nodes for the canvas preview, without scripts
+   * or inline event handlers
+   * @param {string} html - HTML to parse
+   * @param {Document} doc - Canvas document the nodes are created for
+   * @returns {Node[]}
+   */
+  const toPreviewNodes = (html, doc) => {
+    const template = doc.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('script').forEach((el) => el.remove());
+    template.content.querySelectorAll('*').forEach((el) => {
+      Array.from(el.attributes).forEach((attr) => {
+        if (attr.name.toLowerCase().startsWith('on')) {
+          el.removeAttribute(attr.name);
+        }
+      });
+    });
+    return Array.from(template.content.childNodes).map((node) => {
+      if (node.nodeType === 1) {
+        node.setAttribute(previewAttr, '');
+      }
+      return node;
+    });
+  };
+
+  /**
+   * Temporarily hides a canvas element
+   * @param {HTMLElement} el - Canvas element
+   */
+  const hideElement = (el) => {
+    const display = el.style.display;
+    el.style.display = 'none';
+    previewCleanups.push(() => {
+      el.style.display = display;
+    });
+  };
+
+  /**
+   * Temporarily inserts nodes in the canvas
+   * @param {Node[]} nodes - Nodes to insert
+   * @param {Function} insert - Inserts the nodes in place
+   */
+  const insertNodes = (nodes, insert) => {
+    insert(nodes);
+    previewCleanups.push(() => nodes.forEach((node) => node.remove()));
+  };
+
+  /**
+   * Shows one operation in the canvas, touching only the DOM (never the
+   * component models), so the preview can be dropped without side effects
+   * @param {Object} operation - Operation to preview
+   * @param {Document} doc - Canvas document
+   */
+  const previewOperation = (operation, doc) => {
+    const component = apiModule.findComponentById(operation.id);
+    const el = component?.getEl?.();
+    if (!el) return;
+
+    const html = operation.html || '';
+
+    switch (operation.op) {
+      case 'replace': {
+        // Keep the original children aside so their views stay intact
+        const original = doc.createDocumentFragment();
+        while (el.firstChild) original.appendChild(el.firstChild);
+
+        // Same logic as applying: a single element with the same tag replaces the content
+        const template = doc.createElement('template');
+        template.innerHTML = html.trim();
+        const first = template.content.firstElementChild;
+        const inner = first && template.content.children.length === 1 &&
+          first.tagName.toLowerCase() === el.tagName.toLowerCase() ? first.innerHTML : html;
+
+        toPreviewNodes(inner, doc).forEach((node) => el.appendChild(node));
+        el.setAttribute(previewAttr, '');
+
+        previewCleanups.push(() => {
+          el.innerHTML = '';
+          el.appendChild(original);
+          el.removeAttribute(previewAttr);
+        });
+        break;
+      }
+      case 'replaceOuter':
+        insertNodes(toPreviewNodes(html, doc), (nodes) => el.after(...nodes));
+        hideElement(el);
+        break;
+      case 'insertBefore':
+        insertNodes(toPreviewNodes(html, doc), (nodes) => el.before(...nodes));
+        break;
+      case 'insertAfter':
+        insertNodes(toPreviewNodes(html, doc), (nodes) => el.after(...nodes));
+        break;
+      case 'append':
+        insertNodes(toPreviewNodes(html, doc), (nodes) => el.append(...nodes));
+        break;
+      case 'remove':
+        hideElement(el);
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Shows the selected changes of a review in the canvas
+   * @param {Object} review - Review to preview
+   */
+  const startPreview = (review) => {
+    stopPreview();
+
+    const doc = editor.Canvas.getDocument();
+    if (!doc) return;
+
+    // Highlight previewed content
+    const styleEl = doc.createElement('style');
+    styleEl.setAttribute(previewAttr, '');
+    styleEl.textContent = `[${previewAttr}] { outline: 2px dashed #007370 !important; outline-offset: 2px; }`;
+
+    review.changes.forEach((item) => {
+      if (!item.selected || !item.previewable) return;
+      if (item.kind === 'style') {
+        styleEl.textContent += `\n${item.after}`;
+      } else {
+        previewOperation(item.change, doc);
+      }
+    });
+
+    // Appended to the body so it comes after the canvas CSS and wins the cascade
+    doc.body.appendChild(styleEl);
+    previewCleanups.push(() => styleEl.remove());
+    activePreview = review;
+  };
+
+  /**
+   * Removes the current preview from the canvas, if any
+   */
+  const stopPreview = () => {
+    // Undo in reverse order, so nested changes unwind correctly
+    previewCleanups.reverse().forEach((cleanup) => {
+      try {
+        cleanup();
+      } catch (err) {
+        console.warn('Failed to clear preview:', err);
+      }
+    });
+    previewCleanups = [];
+    activePreview = null;
+  };
+
+  /**
+   * Checks whether a review is currently previewed in the canvas
+   * @param {Object} review - Review
+   * @returns {boolean}
+   */
+  const isPreviewing = (review) => activePreview === review;
+
+  /**
+   * Applies the accepted changes of a review
+   * @param {Object} review - Pending review
+   * @param {boolean} all - Apply every change, checked or not (otherwise only the checked ones)
+   * @returns {Object} - Results from the API module ({ success, failed })
+   */
+  const accept = (review, all = false) => {
+    stopPreview();
+
+    const accepted = review.changes.filter((item) => all || item.selected);
+    const results = apiModule.applyResponse({
+      operations: accepted.filter((item) => item.kind === 'operation').map((item) => item.change),
+      styles: accepted.filter((item) => item.kind === 'style').map((item) => item.change)
+    }, { transaction: review.transaction });
+
+    review.changes.forEach((item) => {
+      item.selected = accepted.includes(item);
+    });
+    review.status = accepted.length === review.changes.length ? 'accepted' : 'partial';
+    review.results = results;
+    return results;
+  };
+
+  /**
+   * Rejects all changes of a review
+   * @param {Object} review - Pending review
+   */
+  const reject = (review) => {
+    if (isPreviewing(review)) {
+      stopPreview();
+    }
+    review.changes.forEach((item) => {
+      item.selected = false;
+    });
+    review.status = 'rejected';
+  };
+
+  /**
+   * Renders the review controls for an assistant message
+   * @param {Object} review - Review to render
+   * @param {Function} onChange - Called after any decision, to re-render the chat
+   * @returns {HTMLElement}
+   */
+  const renderReview = (review, onChange) => {
+    const pending = review.status === 'pending';
+    const container = document.createElement('div');
+    container.className = `${pfx}-review`;
+
+    review.changes.forEach((item) => {
+      const itemEl = document.createElement('details');
+      itemEl.className = `${pfx}-review-item`;
+      itemEl.open = !!item.expanded;
+      itemEl.addEventListener('toggle', () => {
+        item.expanded = itemEl.open;
+      });
+
+      const summary = document.createElement('summary');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = item.selected;
+      checkbox.disabled = !pending;
+      checkbox.addEventListener('click', (e) => e.stopPropagation());
+      checkbox.addEventListener('change', () => {
+        item.selected = checkbox.checked;
+        if (isPreviewing(review)) {
+          startPreview(review);
+        }
+        onChange();
+      });
+
+      const label = document.createElement('span');
+      label.textContent = item.label;
+      summary.append(checkbox, label);
+
+      const diffEl = document.createElement('pre');
+      diffEl.className = `${pfx}-diff`;
+      diffLines(item.before, item.after).forEach(({ type, text }) => {
+        const line = document.createElement('div');
+        line.className = `${pfx}-diff-${type}`;
+        line.textContent = `${type === 'added' ? '+' : type === 'removed' ? '-' : ' '} ${text}`;
+        diffEl.appendChild(line);
+      });
+
+      itemEl.append(summary, diffEl);
+      container.appendChild(itemEl);
+    });
+
+    const footer = document.createElement('div');
+    footer.className = `${pfx}-review-actions`;
+
+    if (pending) {
+      const selectedCount = review.changes.filter((item) => item.selected).length;
+      const addButton = (text, onClick, extraClass = '') => {
+        const btn = document.createElement('button');
+        btn.className = `${pfx}-review-btn ${extraClass}`.trim();
+        btn.textContent = text;
+        btn.addEventListener('click', () => {
+          onClick();
+          onChange();
+        });
+        footer.appendChild(btn);
+        return btn;
+      };
+
+      addButton(isPreviewing(review) ? 'End preview' : 'Preview', () => {
+        isPreviewing(review) ? stopPreview() : startPreview(review);
+      });
+      // Accept applies the checked changes only
+      const partial = selectedCount < review.changes.length;
+      const acceptBtn = addButton(
+        partial ? `Accept ${selectedCount}/${review.changes.length}` : 'Accept',
+        () => accept(review),
+        `${pfx}-review-accept`
+      );
+      acceptBtn.disabled = selectedCount === 0;
+      if (partial) {
+        addButton('Accept all', () => accept(review, true));
+      }
+      addButton('Reject', () => reject(review), `${pfx}-review-reject`);
+    } else {
+      const acceptedCount = review.changes.filter((item) => item.selected).length;
+      const status = document.createElement('span');
+      status.className = `${pfx}-review-status`;
+      status.textContent = review.status === 'rejected'
+        ? 'Changes rejected'
+        : `Changes applied (${acceptedCount}/${review.changes.length})`;
+      footer.appendChild(status);
+    }
+
+    container.appendChild(footer);
+    return container;
+  };
+
+  return {
+    createReview,
+    renderReview,
+    startPreview,
+    stopPreview,
+    isPreviewing,
+    accept,
+    reject,
+    diffLines
+  };
+};
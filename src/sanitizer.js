@@ -0,0 +1,468 @@
+/**
+ * Sanitizer Module for GrapesJS AI Agent Plugin
+ * Filters HTML and styles returned by the API before they reach the
+ * editor, and reports what was removed
+ */
+
+// Tags kept by default; other tags are unwrapped (their content is kept)
+export const DEFAULT_ALLOWED_TAGS = [
+  'a', 'abbr', 'address', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo', 'blockquote', 'br',
+  'button', 'caption', 'cite', 'code', 'col', 'colgroup', 'data', 'dd', 'del', 'details', 'dfn',
+  'div', 'dl', 'dt', 'em', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'legend',
+  'li', 'main', 'mark', 'nav', 'ol', 'optgroup', 'option', 'p', 'picture', 'pre', 'q', 's', 'samp',
+  'section', 'select', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+  'tbody', 'td', 'textarea', 'tfoot', 'th', 'thead', 'time', 'tr', 'track', 'u', 'ul', 'var',
+  'video', 'wbr',
+  // Inline SVG icons
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polygon', 'polyline', 'rect', 'defs',
+  'lineargradient', 'radialgradient', 'stop', 'title'
+];
+
+// Attributes kept by default (aria-* and, optionally, data-* are always kept)
+export const DEFAULT_ALLOWED_ATTRIBUTES = [
+  'id', 'class', 'style', 'title', 'lang', 'dir', 'role', 'tabindex', 'hidden',
+  'href', 'target', 'rel', 'download', 'src', 'srcset', 'sizes', 'alt', 'width', 'height',
+  'loading', 'decoding', 'poster', 'controls', 'autoplay', 'muted', 'loop', 'playsinline',
+  'preload', 'kind', 'srclang', 'label', 'media', 'type', 'name', 'value', 'placeholder',
+  'for', 'action', 'method', 'checked', 'selected', 'disabled', 'readonly', 'required',
+  'multiple', 'min', 'max', 'step', 'minlength', 'maxlength', 'pattern', 'autocomplete',
+  'rows', 'cols', 'colspan', 'rowspan', 'scope', 'headers', 'span', 'datetime', 'cite',
+  'open', 'start', 'reversed',
+  // SVG presentation attributes
+  'xmlns', 'viewbox', 'preserveaspectratio', 'd', 'fill', 'fill-rule', 'fill-opacity',
+  'clip-rule', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-opacity',
+  'stroke-dasharray', 'opacity', 'transform', 'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'x1', 'y1',
+  'x2', 'y2', 'points', 'offset', 'stop-color', 'stop-opacity', 'gradientunits'
+];
+
+// Disallowed tags removed together with their content
+const DROP_CONTENT_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'link', 'meta',
+  'base', 'template', 'noscript', 'noembed', 'xmp', 'plaintext', 'math', 'foreignobject'
+];
+
+// Prefix of the attributes the GrapesJS parser turns into component properties
+// (e.g. data-gjs-attributes, data-gjs-script), which would bypass the policy
+const MODEL_ATTRIBUTE_PREFIX = 'data-gjs-';
+
+// Characters that would let a selector, state or media query break out of its rule
+// (or out of a <style> element)
+const UNSAFE_RULE_PATTERN = /[<{};]/;
+
+// Characters that would let a property value break out of its rule
+const UNSAFE_VALUE_PATTERN = /[<{}]/;
+
+// Valid property names (custom properties included)
+const PROPERTY_PATTERN = /^-{0,2}[a-zA-Z][\w-]*$/;
+
+// Attributes holding a single URL
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href', 'background'];
+
+// Attributes (and tags) that make the browser load a resource, as opposed to links
+const RESOURCE_ATTRIBUTES = ['src', 'srcset', 'poster', 'background'];
+
+/**
+ * Describes a removed item for the chat
+ * @param {Object} item - Removed item ({ type, tag, name, value })
+ * @returns {string}
+ */
+export const describeRemoved = (item) => {
+  switch (item.type) {
+    case 'tag':
+      return `<${item.tag}> element`;
+    case 'attribute':
+      return `${item.name} attribute on <${item.tag}>`;
+    case 'url':
+      return `${item.reason === 'external' ? 'external' : 'unsafe'} URL in ${item.name}${item.tag ? ` on <${item.tag}>` : ''}`;
+    case 'style':
+      if (item.selector) return `"${item.name}" style in ${item.selector}`;
+      return `"${item.name}" style${item.tag ? ` on <${item.tag}>` : ''}`;
+    case 'rule':
+      return `${item.name} rule`;
+    default:
+      return item.type;
+  }
+};
+
+export default (editor, opts = {}) => {
+  const policy = opts.sanitize;
+  const allowedTags = new Set((policy?.allowedTags || DEFAULT_ALLOWED_TAGS).map((tag) => tag.toLowerCase()));
+  const allowedAttributes = new Set((policy?.allowedAttributes || DEFAULT_ALLOWED_ATTRIBUTES).map((attr) => attr.toLowerCase()));
+  const allowedSchemes = (policy?.allowedSchemes || []).map((scheme) => scheme.toLowerCase());
+  const allowedHosts = (policy?.allowedHosts || []).map((host) => host.toLowerCase());
+
+  // Parse in a separate document so nothing runs or loads while sanitizing
+  let parserDoc = null;
+
+  /**
+   * Checks whether a host may serve resources
+   * @param {string} host - URL host
+   * @returns {boolean}
+   */
+  const isAllowedHost = (host) => {
+    if (host === window.location.host.toLowerCase()) return true;
+    return allowedHosts.some((allowed) => allowed.startsWith('*.')
+      ? host.endsWith(allowed.slice(1)) || host === allowed.slice(2)
+      : host === allowed);
+  };
+
+  /**
+   * Checks a URL against the policy
+   * @param {string} url - URL to check
+   * @param {boolean} isResource - Whether the browser would load it as a resource
+   * @returns {string|null} - Why the URL is rejected ('scheme' | 'external'), or null if allowed
+   */
+  const checkUrl = (url, isResource) => {
+    // Browsers ignore whitespace and control characters in schemes
+    const value = String(url).replace(/[\x00-\x20\x7f-\x9f]/g, '');
+    if (!value || value.startsWith('#')) return null;
+
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !allowedSchemes.includes(scheme[1].toLowerCase())) {
+      return 'scheme';
+    }
+
+    if (isResource && policy?.blockExternal && (scheme || value.startsWith('//'))) {
+      let host = '';
+      try {
+        host = new URL(value, window.location.href).host.toLowerCase();
+      } catch (e) {
+        return 'scheme';
+      }
+      // URLs without a host (mailto:, data:, ...) don't load from anywhere else
+      if (host && !isAllowedHost(host)) {
+        return 'external';
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Splits CSS declarations text on the semicolons outside quotes and
+   * parentheses, so values like `url("data:image/png;base64,...")` stay whole
+   * @param {string} cssText - Declarations
+   * @returns {string[]}
+   */
+  const splitDeclarations = (cssText) => {
+    const declarations = [];
+    let start = 0;
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < cssText.length; i++) {
+      const char = cssText[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth = Math.max(0, depth - 1);
+      } else if (char === ';' && !depth) {
+        declarations.push(cssText.slice(start, i));
+        start = i + 1;
+      }
+    }
+    declarations.push(cssText.slice(start));
+    return declarations;
+  };
+
+  /**
+   * Removes unsafe declarations from CSS declarations text
+   * (`url()` pointing to blocked URLs, `expression()`, `-moz-binding`, `behavior`)
+   * @param {string} cssText - Declarations, e.g. an inline style attribute
+   * @param {Function} onRemove - Called with (property, reason) for each removed declaration
+   * @returns {string}
+   */
+  const sanitizeDeclarations = (cssText, onRemove) => {
+    return splitDeclarations(cssText)
+      .filter((declaration) => {
+        const index = declaration.indexOf(':');
+        if (index < 0) return false;
+        const prop = declaration.slice(0, index).trim();
+        const reason = checkStyleValue(prop, declaration.slice(index + 1));
+        if (reason) onRemove(prop, reason);
+        return !reason;
+      })
+      .map((declaration) => declaration.trim())
+      .join('; ');
+  };
+
+  /**
+   * Checks a single CSS property value
+   * @param {string} prop - Property name
+   * @param {string} value - Property value
+   * @returns {string|null} - Why the value is rejected, or null if allowed
+   */
+  const checkStyleValue = (prop, value) => {
+    const name = prop.toLowerCase();
+    const text = String(value);
+
+    if (name === 'behavior' || name === '-moz-binding' || /expression\s*\(/i.test(text) || /javascript:/i.test(text)) {
+      return 'scheme';
+    }
+
+    const urlPattern = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+    let match;
+    while ((match = urlPattern.exec(text))) {
+      const reason = checkUrl(match[2], true);
+      if (reason) return reason;
+    }
+
+    // image-set() also accepts plain strings as URLs
+    for (const args of getImageSetArguments(text)) {
+      const stringPattern = /(['"])(.*?)\1/g;
+      while ((match = stringPattern.exec(args))) {
+        const reason = checkUrl(match[2], true);
+        if (reason) return reason;
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Gets the arguments of every image-set() in a value, up to its
+   * matching closing parenthesis
+   * @param {string} text - Property value
+   * @returns {string[]}
+   */
+  const getImageSetArguments = (text) => {
+    const found = [];
+    const pattern = /image-set\(/gi;
+    let match;
+    while ((match = pattern.exec(text))) {
+      let depth = 1;
+      let quote = null;
+      let i = pattern.lastIndex;
+      for (; i < text.length && depth; i++) {
+        const char = text[i];
+        if (quote) {
+          if (char === '\\') i++;
+          else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '(') {
+          depth++;
+        } else if (char === ')') {
+          depth--;
+        }
+      }
+      found.push(text.slice(pattern.lastIndex, depth ? i : i - 1));
+    }
+    return found;
+  };
+
+  /**
+   * Sanitizes the attributes of an element
+   * @param {Element} el - Element to sanitize
+   * @param {Object[]} removed - Collects removed items
+   */
+  const sanitizeAttributes = (el, removed) => {
+    const tag = el.tagName.toLowerCase();
+
+    Array.from(el.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      const remove = (item) => {
+        el.removeAttribute(attr.name);
+        removed.push({ tag, name, ...item });
+      };
+
+      // Event handlers are never allowed, nor GrapesJS component properties
+      if (name.startsWith('on') || name.startsWith(MODEL_ATTRIBUTE_PREFIX)) {
+        return remove({ type: 'attribute' });
+      }
+
+      const allowed = allowedAttributes.has(name) ||
+        name.startsWith('aria-') ||
+        (policy.allowDataAttributes !== false && name.startsWith('data-'));
+      if (!allowed) {
+        return remove({ type: 'attribute' });
+      }
+
+      const isResource = RESOURCE_ATTRIBUTES.includes(name) ||
+        (name === 'href' && ['image', 'use'].includes(tag));
+
+      if (URL_ATTRIBUTES.includes(name)) {
+        const reason = checkUrl(attr.value, isResource);
+        if (reason) remove({ type: 'url', reason, value: attr.value });
+      } else if (name === 'srcset') {
+        const reason = attr.value
+          .split(',')
+          .map((candidate) => checkUrl(candidate.trim().split(/\s+/)[0], true))
+          .find(Boolean);
+        if (reason) remove({ type: 'url', reason, value: attr.value });
+      } else if (name === 'style') {
+        const style = sanitizeDeclarations(attr.value, (prop, reason) => {
+          removed.push({ type: 'style', tag, name: prop, reason });
+        });
+        if (style) {
+          el.setAttribute(attr.name, style);
+        } else {
+          el.removeAttribute(attr.name);
+        }
+      }
+    });
+  };
+
+  /**
+   * Sanitizes the children of a node, recursively
+   * @param {Node} node - Parent node
+   * @param {Object[]} removed - Collects removed items
+   */
+  const sanitizeChildren = (node, removed) => {
+    Array.from(node.childNodes).forEach((child) => {
+      // Comments may hide conditional markup
+      if (child.nodeType === 8) {
+        child.remove();
+        return;
+      }
+      if (child.nodeType !== 1) return;
+
+      const tag = child.tagName.toLowerCase();
+
+      if (!allowedTags.has(tag)) {
+        removed.push({ type: 'tag', tag });
+        if (DROP_CONTENT_TAGS.includes(tag)) {
+          child.remove();
+        } else {
+          // Keep the content of unknown tags
+          sanitizeChildren(child, removed);
+          child.replaceWith(...Array.from(child.childNodes));
+        }
+        return;
+      }
+
+      sanitizeAttributes(child, removed);
+      sanitizeChildren(child, removed);
+    });
+  };
+
+  /**
+   * Sanitizes HTML according to the policy
+   * @param {string} html - HTML to sanitize
+   * @returns {Object} - { html, removed: [{ type, tag, name, value, reason }] }
+   */
+  const sanitizeHtml = (html) => {
+    if (!policy || typeof html !== 'string' || !html) {
+      return { html, removed: [] };
+    }
+
+    parserDoc = parserDoc || document.implementation.createHTMLDocument('');
+    const template = parserDoc.createElement('template');
+    template.innerHTML = html;
+
+    const removed = [];
+    sanitizeChildren(template.content, removed);
+
+    return { html: template.innerHTML, removed };
+  };
+
+  /**
+   * Sanitizes a style change. Whatever the policy, a change whose selector,
+   * state or media query could close its rule is dropped (`change` is null),
+   * and so are properties with invalid names or values that could close it.
+   * @param {Object} change - Style change ({ selector | id, style, ... })
+   * @returns {Object} - { change, removed }
+   */
+  const sanitizeStyle = (change) => {
+    if (!change || typeof change !== 'object') {
+      return { change, removed: [] };
+    }
+
+    if ([change.selector, change.state, change.media].some((part) => part && UNSAFE_RULE_PATTERN.test(String(part)))) {
+      return { change: null, removed: [{ type: 'rule', name: 'malformed' }] };
+    }
+
+    if (!change.style) {
+      return { change, removed: [] };
+    }
+
+    const removed = [];
+    const style = {};
+    Object.entries(change.style).forEach(([prop, value]) => {
+      let reason = null;
+      if (!PROPERTY_PATTERN.test(prop) || (value != null && UNSAFE_VALUE_PATTERN.test(String(value)))) {
+        reason = 'malformed';
+      } else if (policy && value !== null && value !== '') {
+        reason = checkStyleValue(prop, value);
+      }
+      if (reason) {
+        removed.push({ type: 'style', name: prop, selector: change.selector || change.id, reason });
+      } else {
+        style[prop] = value;
+      }
+    });
+
+    return { change: removed.length ? { ...change, style } : change, removed };
+  };
+
+  /**
+   * Sanitizes the declarations of CSS rules, recursively (@media, @supports
+   * and @keyframes included). `@import` rules are removed.
+   * @param {CSSRuleList} rules - Rules to sanitize
+   * @param {Object[]} removed - Collects removed items
+   * @returns {string[]} - CSS text of the kept rules
+   */
+  const sanitizeRules = (rules, removed) => {
+    return Array.from(rules).map((rule) => {
+      if (rule.href !== undefined && /^@import/i.test(rule.cssText)) {
+        removed.push({ type: 'rule', name: '@import' });
+        return '';
+      }
+
+      if (rule.style) {
+        Array.from(rule.style).forEach((prop) => {
+          const reason = checkStyleValue(prop, rule.style.getPropertyValue(prop));
+          if (reason) {
+            rule.style.removeProperty(prop);
+            removed.push({ type: 'style', name: prop, selector: rule.selectorText || rule.cssText.split('{')[0].trim(), reason });
+          }
+        });
+      }
+
+      // Grouping rules (@media, @supports, @keyframes, ...)
+      if (rule.cssRules && !rule.style) {
+        const inner = sanitizeRules(rule.cssRules, removed).filter(Boolean);
+        const condition = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+        return `${condition}{${inner.join('')}}`;
+      }
+
+      return rule.cssText;
+    }).filter(Boolean);
+  };
+
+  /**
+   * Sanitizes a style sheet according to the policy
+   * @param {string} css - CSS text
+   * @returns {Object} - { css, removed: [{ type, name, selector, reason }] }
+   */
+  const sanitizeCss = (css) => {
+    if (!policy || typeof css !== 'string' || !css) {
+      return { css, removed: [] };
+    }
+
+    parserDoc = parserDoc || document.implementation.createHTMLDocument('');
+    const styleEl = parserDoc.createElement('style');
+    styleEl.textContent = css;
+    parserDoc.head.appendChild(styleEl);
+
+    const removed = [];
+    try {
+      const rules = sanitizeRules(styleEl.sheet?.cssRules || [], removed);
+      return { css: rules.join('\n'), removed };
+    } finally {
+      styleEl.remove();
+    }
+  };
+
+  return {
+    sanitizeHtml,
+    sanitizeStyle,
+    sanitizeCss
+  };
+};
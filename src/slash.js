@@ -0,0 +1,484 @@
+/**
+ * Slash Commands Module for GrapesJS AI Agent Plugin
+ * Registry of the commands typed in the chat input as `/name arguments`,
+ * run in the editor instead of being sent to the backend, with a popup
+ * listing them while the name is typed
+ */
+
+// Command being typed: `/` at the start of the input, then the name
+const COMMAND_PATTERN = /^\/([^\s/]*)$/;
+
+// Name and arguments of a submitted command
+const SUBMIT_PATTERN = /^\/([^\s/]+)(?:\s+([\s\S]*))?$/;
+
+export default (editor, opts = {}, state) => {
+  const pfx = opts.classPrefix || 'gaia';
+  const enabled = opts.slashCommands !== false;
+  const commands = {};
+
+  let inputEl = null;
+  let listEl = null;
+  let statusEl = null;
+  let onSubmit = null;
+
+  // Open suggestions: { matches: [name], active }
+  let current = null;
+
+  /**
+   * Gets the public API of the plugin
+   * @returns {Object} - editor.AiAgent
+   */
+  const getAgent = () => editor.AiAgent;
+
+  /**
+   * Fails a command when a request is in flight
+   */
+  const requireIdle = () => {
+    if (state.isLoading) {
+      throw new Error('Wait for the current reply to finish');
+    }
+  };
+
+  /**
+   * Triggers the download of a file
+   * @param {string} filename - File name
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   */
+  const download = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  /**
+   * Describes the components a message referenced
+   * @param {string[]} ids - Component IDs
+   * @returns {string[]} - Their labels (or IDs, for removed components)
+   */
+  const describeComponents = (ids = []) => {
+    const apiModule = getAgent().api();
+    return ids.map((id) => {
+      const component = apiModule?.findComponentById(id);
+      return component ? apiModule.references.getLabel(component) : id;
+    });
+  };
+
+  /**
+   * Finds a thread by number (as listed), id or name
+   * @param {Object[]} threads - Threads, as listed by the public API
+   * @param {string} query - Number, id, name or start of a name
+   * @returns {Object|undefined}
+   */
+  const findThread = (threads, query) => {
+    if (/^\d+$/.test(query) && threads[Number(query) - 1]) return threads[Number(query) - 1];
+
+    const name = query.toLowerCase();
+    return threads.find((thread) => thread.id === query || thread.name.toLowerCase() === name)
+      || threads.find((thread) => thread.name.toLowerCase().startsWith(name));
+  };
+
+  // Built-in commands
+  const builtInCommands = {
+    clear: {
+      description: 'Clear the conversation of this thread',
+      handler: () => {
+        requireIdle();
+        getAgent().clearHistory();
+        return 'Conversation cleared';
+      }
+    },
+
+    undo: {
+      description: 'Undo the last AI change',
+      handler: () => {
+        requireIdle();
+        const result = getAgent().undoLastChange();
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return 'Last AI change undone';
+      }
+    },
+
+    thread: {
+      usage: '[number | name | new <name>]',
+      description: 'List the threads, switch to one or start a new one',
+      handler: (args) => {
+        const agent = getAgent();
+        const threads = agent.getThreads();
+
+        if (!args) {
+          return threads.map((thread, index) => `${index + 1}. ${thread.name}${thread.active ? ' (current)' : ''}`).join('\n');
+        }
+
+        requireIdle();
+        const created = args.match(/^new\b\s*(.*)$/i);
+        if (created) {
+          agent.createThread(created[1]);
+          return `Started thread "${agent.getThreads().find((thread) => thread.active).name}"`;
+        }
+
+        const thread = findThread(threads, args);
+        if (!thread) {
+          throw new Error(`No thread matches "${args}"`);
+        }
+        agent.switchThread(thread.id);
+        return `Switched to "${thread.name}"`;
+      }
+    },
+
+    review: {
+      usage: '[on | off]',
+      description: 'Toggle reviewing AI changes before they are applied',
+      handler: (args) => {
+        const agent = getAgent();
+        const value = args.toLowerCase();
+        if (value && value !== 'on' && value !== 'off') {
+          throw new Error('Use /review, /review on or /review off');
+        }
+        requireIdle();
+        agent.setReviewMode(value ? value === 'on' : !agent.isReviewMode());
+        return `Review mode ${agent.isReviewMode() ? 'on' : 'off'}`;
+      }
+    },
+
+    attach: {
+      description: 'Attach the components selected in the canvas',
+      handler: () => {
+        const selected = editor.getSelectedAll();
+        if (!selected.length) {
+          throw new Error('Select a component in the canvas first');
+        }
+        selected.forEach((component) => getAgent().addComponent(component));
+        return `Attached ${selected.length} component${selected.length === 1 ? '' : 's'}`;
+      }
+    },
+
+    batch: {
+      usage: '<selector | type:name> <prompt>',
+      description: 'Run a prompt on every matching component, one at a time',
+      handler: (args) => {
+        const match = args.match(/^(?:"([^"]+)"|(\S+))\s+([\s\S]+)$/);
+        if (!match) {
+          throw new Error('Use /batch <selector | type:name> <prompt>, e.g. /batch .card Make the title bold');
+        }
+
+        const target = match[1] || match[2];
+        const type = target.match(/^type:(.+)$/);
+        const options = type ? { type: type[1] } : { selector: target };
+
+        // Throws right away when it can't start; the progress and results show in the chat
+        return getAgent().runBatch(match[3], options);
+      }
+    },
+
+    export: {
+      usage: '[json]',
+      description: 'Download the conversation of this thread as Markdown (or JSON)',
+      handler: (args) => {
+        const agent = getAgent();
+        const format = args.toLowerCase() || 'markdown';
+        if (format !== 'markdown' && format !== 'json') {
+          throw new Error('Use /export or /export json');
+        }
+
+        const thread = agent.getThreads().find((item) => item.active);
+        const messages = agent.getHistory().map((msg) => ({
+          role: msg.role,
+          content: msg.content || '',
+          components: msg.components ? describeComponents(msg.components) : undefined,
+          error: msg.isError || undefined
+        }));
+        if (!messages.length) {
+          throw new Error('The conversation is empty');
+        }
+
+        const filename = thread.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'conversation';
+        if (format === 'json') {
+          const data = { thread: thread.name, exportedAt: new Date().toISOString(), messages };
+          download(`${filename}.json`, JSON.stringify(data, null, 2), 'application/json');
+        } else {
+          const text = messages.map((msg) => {
+            const lines = [`**${msg.role === 'user' ? 'You' : msg.error ? 'Error' : 'Assistant'}:**`];
+            if (msg.components) {
+              lines.push(`_Components: ${msg.components.join(', ')}_`);
+            }
+            lines.push('', msg.content);
+            return lines.join('\n');
+          });
+          download(`${filename}.md`, `# ${thread.name}\n\n${text.join('\n\n---\n\n')}\n`, 'text/markdown');
+        }
+        return `Exported ${messages.length} message${messages.length === 1 ? '' : 's'}`;
+      }
+    }
+  };
+
+  /**
+   * Registers a slash command
+   * @param {string} name - Command name, typed after `/`
+   * @param {Object} command - { description, usage, handler(args, { editor }) }. The handler
+   *   may return (or resolve to) a message shown above the input, and throws to report an error.
+   */
+  const register = (name, command = {}) => {
+    if (!name || /[\s/]/.test(name) || typeof command.handler !== 'function') {
+      throw new Error('A slash command needs a name without spaces or slashes, and a handler function');
+    }
+    commands[name] = command;
+  };
+
+  /**
+   * Removes a slash command
+   * @param {string} name - Command name
+   */
+  const unregister = (name) => {
+    delete commands[name];
+  };
+
+  /**
+   * Lists the slash commands
+   * @returns {Object[]} - [{ name, usage, description }]
+   */
+  const getAll = () => {
+    return Object.entries(commands).map(([name, command]) => ({
+      name,
+      usage: command.usage || '',
+      description: command.description || ''
+    }));
+  };
+
+  /**
+   * Shows the outcome of a command above the input
+   * @param {string} text - Message (nothing hides it)
+   * @param {boolean} isError - Whether the command failed
+   */
+  const setStatus = (text, isError = false) => {
+    if (!statusEl) return;
+    statusEl.textContent = text || '';
+    statusEl.hidden = !text;
+    statusEl.classList.toggle(`${pfx}-command-error`, !!isError);
+  };
+
+  /**
+   * Runs a slash command typed in the input
+   * @param {string} text - Submitted text
+   * @returns {Promise<boolean|null>} - null when the text is not a command (and should be sent),
+   *   otherwise whether the command ran
+   */
+  const run = async (text) => {
+    const match = enabled && text.match(SUBMIT_PATTERN);
+    if (!match) return null;
+
+    const [, name, args = ''] = match;
+    const command = commands[name];
+    if (!command) {
+      setStatus(`Unknown command /${name}. Type / to list the commands, or start with // to send a message starting with /.`, true);
+      return false;
+    }
+
+    try {
+      const result = await command.handler(args.trim(), { editor });
+      setStatus(typeof result === 'string' ? result : '');
+      return true;
+    } catch (error) {
+      setStatus(error.message || String(error), true);
+      return false;
+    }
+  };
+
+  /**
+   * Closes the suggestions
+   */
+  const close = () => {
+    current = null;
+    if (listEl) {
+      listEl.hidden = true;
+      listEl.innerHTML = '';
+    }
+  };
+
+  /**
+   * Renders the suggestions
+   */
+  const render = () => {
+    listEl.innerHTML = '';
+    listEl.hidden = false;
+
+    current.matches.forEach((name, index) => {
+      const command = commands[name];
+      const item = document.createElement('div');
+      item.className = `${pfx}-slash-command`;
+      item.setAttribute('role', 'option');
+      if (index === current.active) {
+        item.classList.add(`${pfx}-slash-command-active`);
+        item.setAttribute('aria-selected', 'true');
+      }
+
+      const label = document.createElement('span');
+      label.className = `${pfx}-slash-command-name`;
+      label.textContent = `/${name}${command.usage ? ` ${command.usage}` : ''}`;
+      item.appendChild(label);
+
+      if (command.description) {
+        const description = document.createElement('span');
+        description.className = `${pfx}-slash-command-description`;
+        description.textContent = command.description;
+        item.appendChild(description);
+      }
+
+      // mousedown, so the input keeps the focus
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        choose(index);
+      });
+      item.addEventListener('mouseenter', () => {
+        current.active = index;
+        render();
+      });
+      listEl.appendChild(item);
+    });
+
+    listEl.querySelector(`.${pfx}-slash-command-active`)?.scrollIntoView?.({ block: 'nearest' });
+  };
+
+  /**
+   * Completes the input with a suggested command. Commands without
+   * arguments are run right away.
+   * @param {number} index - Index of the suggestion
+   */
+  const choose = (index) => {
+    const name = current?.matches[index];
+    if (!name) return;
+
+    close();
+    if (commands[name].usage) {
+      inputEl.value = `/${name} `;
+      inputEl.setSelectionRange(inputEl.value.length, inputEl.value.length);
+    } else {
+      inputEl.value = `/${name}`;
+      onSubmit();
+    }
+  };
+
+  /**
+   * Updates the suggestions from the text before the caret
+   */
+  const update = () => {
+    setStatus('');
+
+    const caret = inputEl.selectionStart;
+    const match = inputEl.selectionEnd === caret && inputEl.value.slice(0, caret).match(COMMAND_PATTERN);
+    if (!match) {
+      close();
+      return;
+    }
+
+    const query = match[1].toLowerCase();
+    const names = Object.keys(commands);
+    const matches = [
+      ...names.filter((name) => name.toLowerCase().startsWith(query)),
+      ...names.filter((name) => !name.toLowerCase().startsWith(query) && name.toLowerCase().includes(query))
+    ];
+    if (!matches.length) {
+      close();
+      return;
+    }
+
+    current = { matches, active: 0 };
+    render();
+  };
+
+  /**
+   * Handles the keys navigating the suggestions
+   * @param {KeyboardEvent} e - keydown event of the input
+   * @returns {boolean} - Whether the key was handled (and shouldn't submit)
+   */
+  const handleKeyDown = (e) => {
+    if (!current) return false;
+
+    const count = current.matches.length;
+    switch (e.key) {
+      case 'ArrowDown':
+        current.active = (current.active + 1) % count;
+        render();
+        break;
+      case 'ArrowUp':
+        current.active = (current.active - 1 + count) % count;
+        render();
+        break;
+      case 'Enter':
+      case 'Tab':
+        // A complete name is run as typed with Enter (e.g. `/thread` lists the threads)
+        if (e.key === 'Enter' && commands[inputEl.value.slice(1)]) {
+          close();
+          return false;
+        }
+        choose(current.active);
+        break;
+      case 'Escape':
+        close();
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  };
+
+  /**
+   * Hooks the commands to the chat input
+   * @param {HTMLTextAreaElement} input - Chat input
+   * @param {HTMLElement} container - Element the suggestions are shown in
+   * @param {Function} submit - Submits the input
+   */
+  const attach = (input, container, submit) => {
+    if (!enabled) return;
+
+    inputEl = input;
+    onSubmit = submit;
+    listEl = document.createElement('div');
+    listEl.className = `${pfx}-slash-commands`;
+    listEl.setAttribute('role', 'listbox');
+    listEl.hidden = true;
+    container.appendChild(listEl);
+
+    statusEl = document.createElement('div');
+    statusEl.className = `${pfx}-command-status`;
+    statusEl.setAttribute('role', 'status');
+    statusEl.hidden = true;
+    container.parentNode.insertBefore(statusEl, container);
+
+    inputEl.addEventListener('input', update);
+    inputEl.addEventListener('blur', close);
+  };
+
+  // Register the built-in commands, then the ones from the options
+  // (which may override them, or remove them when set to null)
+  if (enabled) {
+    Object.entries(builtInCommands).forEach(([name, command]) => register(name, command));
+    Object.entries(opts.slashCommands || {}).forEach(([name, command]) => {
+      if (command) {
+        register(name, command);
+      } else {
+        unregister(name);
+      }
+    });
+  }
+
+  return {
+    enabled,
+    register,
+    unregister,
+    getAll,
+    run,
+    attach,
+    handleKeyDown,
+    close,
+    setStatus
+  };
+};
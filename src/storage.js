@@ -0,0 +1,239 @@
+/**
+ * Storage Module for GrapesJS AI Agent Plugin
+ * Persists the conversation threads (history, pending and last used
+ * components, rolling summary) across reloads and restores them when the editor loads
+ */
+
+// Message fields that only make sense in the current session
+// (undo transactions, applied results holding component models, ...)
+const TRANSIENT_FIELDS = ['transaction', 'results', 'isStreaming', 'undoError'];
+
+// Delay before saving, so streamed replies are not saved on every chunk
+const SAVE_DELAY = 500;
+
+// Version of the saved data, to ignore incompatible data from older releases
+// (version 1 held a single conversation, before threads)
+const DATA_VERSION = 2;
+
+export default (editor, opts = {}, state, threadsModule, onRestore) => {
+  const pfx = opts.classPrefix || 'gaia';
+  const config = opts.persist || {};
+  const enabled = opts.persist !== false;
+
+  /**
+   * Gets an identifier of the project edited, so projects sharing a store
+   * don't share conversations: where the StorageManager keeps the project
+   * (its localStorage key or load URL), or the page path without one
+   * @returns {string}
+   */
+  const getProjectId = () => {
+    const storageManager = editor.StorageManager;
+    const options = storageManager?.getStorageOptions?.(storageManager.getCurrent()) || {};
+    return options.key || options.urlLoad || window.location.pathname;
+  };
+
+  // The project data key needs no project identifier
+  const key = config.key || (config.store === 'project' ? `${pfx}-chat` : `${pfx}-chat:${getProjectId()}`);
+  const maxMessages = config.maxMessages || 0;
+
+  // Conversation found in the last loaded project (for the 'project' store)
+  let projectData = null;
+
+  let saveTimer = null;
+
+  // Last saved data as JSON, to skip saving when nothing changed
+  let lastSaved = null;
+
+  /**
+   * Gets the store the conversation is kept in
+   * @returns {Object|null} - { load(key), store(key, data), remove(key) }, or null for the project
+   */
+  const getStore = () => {
+    if (config.store === 'project') return null;
+    if (config.store && typeof config.store === 'object') return config.store;
+
+    return {
+      load: (storageKey) => {
+        const saved = localStorage.getItem(storageKey);
+        return saved ? JSON.parse(saved) : null;
+      },
+      store: (storageKey, data) => localStorage.setItem(storageKey, JSON.stringify(data)),
+      remove: (storageKey) => localStorage.removeItem(storageKey)
+    };
+  };
+
+  /**
+   * Serializes the conversation threads
+   * @returns {Object} - { version, threadId, threads: [{ id, name, history, pendingComponents, lastUsedComponents, summary }] }
+   */
+  const serialize = () => {
+    // Interrupted streams are saved as they are
+    const threads = threadsModule.serialize().map((thread) => ({
+      ...thread,
+      history: maxMessages ? thread.history.slice(-maxMessages) : thread.history
+    }));
+
+    return JSON.parse(JSON.stringify({
+      version: DATA_VERSION,
+      threadId: state.threadId,
+      threads
+    }, (field, value) => (TRANSIENT_FIELDS.includes(field) ? undefined : value)));
+  };
+
+  /**
+   * Applies saved data to the state
+   * @param {Object} data - Serialized threads (or a single conversation, from version 1)
+   * @returns {boolean} - Whether anything was restored
+   */
+  const apply = (data) => {
+    if (data?.version === 1 && Array.isArray(data.history)) {
+      threadsModule.restore([data]);
+      return true;
+    }
+    if (!data || data.version !== DATA_VERSION || !Array.isArray(data.threads)) return false;
+
+    threadsModule.restore(data.threads, data.threadId);
+    return true;
+  };
+
+  /**
+   * Saves the conversation now
+   * @returns {Promise<void>}
+   */
+  const save = async () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!enabled) return;
+
+    const data = serialize();
+    const json = JSON.stringify(data);
+    if (json === lastSaved) return;
+    lastSaved = json;
+
+    try {
+      const store = getStore();
+      if (store) {
+        await store.store(key, data);
+      } else {
+        // Kept for the next `project:get`; count a change so the StorageManager stores it
+        editor.getModel().changesUp?.({});
+      }
+    } catch (e) {
+      console.warn('grapesjs-ai-agent: Failed to save the conversation.', e);
+    }
+  };
+
+  /**
+   * Saves the conversation after a short delay, grouping frequent updates
+   */
+  const scheduleSave = () => {
+    if (!enabled || saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY);
+  };
+
+  /**
+   * Restores the saved conversation, unless a new one already started
+   * @returns {Promise<boolean>} - Whether anything was restored
+   */
+  const restore = async () => {
+    if (!enabled) return false;
+
+    let data = null;
+    try {
+      const store = getStore();
+      data = store ? await store.load(key) : projectData;
+    } catch (e) {
+      console.warn('grapesjs-ai-agent: Failed to restore the conversation.', e);
+      return false;
+    }
+
+    const started = state.history.length || state.threads.length > 1;
+    if (started || state.isLoading || !apply(data)) return false;
+
+    lastSaved = JSON.stringify(serialize());
+    onRestore?.();
+    return true;
+  };
+
+  /**
+   * Removes the saved conversation (the state itself is left as is)
+   * @returns {Promise<void>}
+   */
+  const clear = async () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    projectData = null;
+    lastSaved = null;
+
+    try {
+      const store = getStore();
+      if (store) {
+        await store.remove?.(key);
+      }
+    } catch (e) {
+      console.warn('grapesjs-ai-agent: Failed to remove the saved conversation.', e);
+    }
+  };
+
+  /**
+   * Keeps the conversation of a loaded project, and restores it when
+   * another project is loaded into a running editor
+   * @param {Object} data - Event data of `project:load`
+   */
+  const handleProjectLoad = ({ project, initial }) => {
+    projectData = project?.[key] || null;
+    if (initial || state.isLoading) return;
+
+    if (!apply(projectData)) {
+      apply({ version: DATA_VERSION, threads: [] });
+    }
+    lastSaved = JSON.stringify(serialize());
+    onRestore?.();
+  };
+
+  /**
+   * Adds the conversation to the project data
+   * @param {Object} data - Event data of `project:get`
+   */
+  const handleProjectGet = ({ project }) => {
+    project[key] = serialize();
+  };
+
+  /**
+   * Saves pending changes before the page goes away
+   */
+  const flush = () => {
+    if (saveTimer) {
+      save();
+    }
+  };
+
+  /**
+   * Stops saving and removes the listeners
+   */
+  const destroy = () => {
+    flush();
+    window.removeEventListener('pagehide', flush);
+    editor.off(`${pfx}:chat:update ${pfx}:thread:change`, scheduleSave);
+    editor.off('project:load', handleProjectLoad);
+    editor.off('project:get', handleProjectGet);
+  };
+
+  if (enabled) {
+    if (config.store === 'project') {
+      editor.on('project:load', handleProjectLoad);
+      editor.on('project:get', handleProjectGet);
+    }
+    window.addEventListener('pagehide', flush);
+    editor.on(`${pfx}:chat:update ${pfx}:thread:change`, scheduleSave);
+  }
+
+  return {
+    enabled,
+    save,
+    scheduleSave,
+    restore,
+    clear,
+    destroy
+  };
+};
@@ -91,6 +91,49 @@ export default (editor, opts = {}) => {
       margin: 0;
     }
 
+    .${pfx}-header-info {
+      min-width: 0;
+    }
+
+    .${pfx}-header-thread {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 11px;
+      opacity: 0.8;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .${pfx}-header-actions {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .${pfx}-header-btn {
+      background: transparent;
+      border: none;
+      width: 28px;
+      height: 28px;
+      border-radius: 50%;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      transition: background 0.2s;
+    }
+
+    .${pfx}-header-btn:hover,
+    .${pfx}-header-btn-active {
+      background: rgba(255, 255, 255, 0.3);
+    }
+
+    .${pfx}-header-btn svg {
+      width: 16px;
+      height: 16px;
+      fill: white;
+    }
+
     .${pfx}-close-btn {
       background: rgba(255, 255, 255, 0.2);
       border: none;
@@ -163,6 +206,12 @@ export default (editor, opts = {}) => {
     }
 
     /* Component Badges in Messages */
+    .${pfx}-message-badges {
+      display: flex;
+      flex-wrap: wrap;
+      margin-bottom: 4px;
+    }
+
     .${pfx}-message-badge {
       display: inline-block;
       background: rgba(255, 255, 255, 0.2);
@@ -170,7 +219,158 @@ export default (editor, opts = {}) => {
       border-radius: 12px;
       font-size: 12px;
       margin: 2px 4px 2px 0;
+    }
+
+    .${pfx}-badge-label {
+      max-width: 240px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    /* Badges selecting their component */
+    .${pfx}-badge-link {
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    .${pfx}-message-badge.${pfx}-badge-link:hover,
+    .${pfx}-message-badge.${pfx}-badge-link:focus-visible {
+      background: rgba(255, 255, 255, 0.3);
+      outline: none;
+    }
+
+    .${pfx}-badge-label.${pfx}-badge-link:hover,
+    .${pfx}-badge-label.${pfx}-badge-link:focus-visible {
+      text-decoration: underline;
+      outline: none;
+    }
+
+    /* Components no longer in the page */
+    .${pfx}-badge-missing {
+      opacity: 0.6;
+      font-style: italic;
+    }
+
+    /* Markdown in replies */
+    .${pfx}-markdown > :first-child {
+      margin-top: 0;
+    }
+
+    .${pfx}-markdown > :last-child {
+      margin-bottom: 0;
+    }
+
+    .${pfx}-markdown p,
+    .${pfx}-markdown ul,
+    .${pfx}-markdown ol,
+    .${pfx}-markdown blockquote {
+      margin: 0 0 8px;
+    }
+
+    .${pfx}-markdown ul,
+    .${pfx}-markdown ol {
+      padding-left: 20px;
+    }
+
+    .${pfx}-markdown blockquote {
+      padding-left: 10px;
+      border-left: 3px solid #3f3f46;
+      color: #a3a3a3;
+    }
+
+    .${pfx}-markdown a {
+      color: #e0e0e0;
+      text-decoration: underline;
+    }
+
+    .${pfx}-markdown hr {
+      border: none;
+      border-top: 1px solid #3f3f46;
+      margin: 8px 0;
+    }
+
+    .${pfx}-md-heading {
+      font-weight: 600;
+      margin: 10px 0 6px;
+    }
+
+    .${pfx}-md-h1,
+    .${pfx}-md-h2 {
+      font-size: 16px;
+    }
+
+    .${pfx}-md-code {
+      background: #09090B;
+      padding: 1px 5px;
+      border-radius: 4px;
+      font-family: 'Monaco', 'Menlo', monospace;
+      font-size: 12px;
+    }
+
+    .${pfx}-md-code-block {
+      margin: 0 0 8px;
+      background: #09090B;
+      border-radius: 8px;
+      overflow: hidden;
+    }
+
+    .${pfx}-md-code-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 4px 8px 4px 12px;
+      background: #27272A;
+      font-size: 11px;
+      color: #a3a3a3;
+    }
+
+    .${pfx}-md-copy-btn {
+      background: transparent;
+      border: none;
+      border-radius: 4px;
+      padding: 2px 8px;
+      color: #e0e0e0;
+      font-size: 11px;
+      cursor: pointer;
+    }
+
+    .${pfx}-md-copy-btn:hover {
+      background: #ffffff1a;
+    }
+
+    .${pfx}-md-code-block pre {
+      margin: 0;
+      padding: 10px 12px;
+      overflow-x: auto;
       font-family: 'Monaco', 'Menlo', monospace;
+      font-size: 12px;
+      line-height: 1.5;
+    }
+
+    /* Cancelled Turns */
+    .${pfx}-message-aborted {
+      opacity: 0.6;
+    }
+
+    .${pfx}-message-assistant.${pfx}-message-aborted:not(.${pfx}-error) {
+      font-style: italic;
+    }
+
+    /* Streaming Reply Cursor */
+    .${pfx}-message-streaming::after {
+      content: '';
+      display: inline-block;
+      width: 7px;
+      height: 14px;
+      margin-left: 2px;
+      vertical-align: text-bottom;
+      background: #007370;
+      animation: ${pfx}-blink 1s steps(2, start) infinite;
+    }
+
+    @keyframes ${pfx}-blink {
+      to { visibility: hidden; }
     }
 
     /* Loading Indicator */
@@ -202,6 +402,12 @@ export default (editor, opts = {}) => {
     .${pfx}-loading-dot:nth-child(2) { animation-delay: -0.16s; }
     .${pfx}-loading-dot:nth-child(3) { animation-delay: 0s; }
 
+    .${pfx}-loading-text {
+      color: #a3a3a3;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+    }
+
     @keyframes ${pfx}-bounce {
       0%, 80%, 100% { transform: scale(0); }
       40% { transform: scale(1); }
@@ -230,7 +436,6 @@ export default (editor, opts = {}) => {
       color: white;
       padding: 4px 10px;
       border-radius: 8px;
-      font-family: 'Monaco', 'Menlo', monospace;
       font-size: 11px;
     }
 
@@ -260,6 +465,7 @@ export default (editor, opts = {}) => {
 
     /* Input Area */
     .${pfx}-input-area {
+      position: relative;
       display: flex;
       gap: 8px;
       padding: 12px 12px;
@@ -315,6 +521,10 @@ export default (editor, opts = {}) => {
       transform: none;
     }
 
+    .${pfx}-submit-btn.${pfx}-stop-btn {
+      background: #ff4757;
+    }
+
     .${pfx}-submit-btn svg {
       width: 18px;
       height: 18px;
@@ -331,43 +541,708 @@ export default (editor, opts = {}) => {
       margin: 8px 16px;
     }
 
-    /* Empty State */
-    .${pfx}-empty {
+    .${pfx}-retry-btn,
+    .${pfx}-undo-btn {
+      display: block;
+      margin-top: 8px;
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      border-radius: 6px;
+      padding: 4px 10px;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    .${pfx}-retry-btn:hover,
+    .${pfx}-undo-btn:hover {
+      background: rgba(255, 255, 255, 0.3);
+    }
+
+    /* Editing and regenerating */
+    .${pfx}-message-actions {
       display: flex;
-      flex-direction: column;
       align-items: center;
-      justify-content: center;
-      height: 100%;
-      color: #a3a3a3;
-      text-align: center;
-      padding: 20px;
+      gap: 4px;
+      margin-top: 6px;
+      font-size: 11px;
+      opacity: 0.8;
     }
 
-    .${pfx}-empty svg {
-      width: 64px;
-      height: 64px;
-      margin-bottom: 16px;
+    .${pfx}-message-user .${pfx}-message-actions {
+      justify-content: flex-end;
     }
 
-    .${pfx}-empty p {
-      margin: 0;
+    .${pfx}-message-action,
+    .${pfx}-alternative-btn {
+      background: transparent;
+      border: none;
+      border-radius: 4px;
+      padding: 2px 6px;
+      color: inherit;
+      font-size: 11px;
+      cursor: pointer;
+    }
+
+    .${pfx}-message-action:hover,
+    .${pfx}-alternative-btn:hover:not(:disabled) {
+      background: rgba(255, 255, 255, 0.2);
+    }
+
+    .${pfx}-alternative-btn:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
+
+    .${pfx}-alternatives {
+      display: flex;
+      align-items: center;
+      gap: 2px;
+    }
+
+    .${pfx}-message-editing {
+      align-self: stretch;
+    }
+
+    .${pfx}-edit-input {
+      width: 100%;
+      box-sizing: border-box;
+      min-height: 60px;
+      resize: vertical;
+      background: rgba(0, 0, 0, 0.2);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 6px;
+      padding: 6px 8px;
+      color: white;
+      font-family: inherit;
       font-size: 14px;
-      line-height: 1.5;
+      outline: none;
+    }
+
+    .${pfx}-edit-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 6px;
+      margin-top: 6px;
+    }
+
+    .${pfx}-edit-btn {
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      border-radius: 6px;
+      padding: 4px 10px;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+    }
+
+    .${pfx}-edit-btn:hover,
+    .${pfx}-edit-send {
+      background: rgba(255, 255, 255, 0.3);
+    }
+
+    .${pfx}-edit-error {
+      margin-top: 6px;
+      font-size: 12px;
+      color: #ffdcd7;
+    }
+
+    /* Context budget */
+    .${pfx}-message-trimmed,
+    .${pfx}-message-summarized {
+      opacity: 0.5;
+    }
+
+    .${pfx}-context-notice {
+      align-self: stretch;
+      padding: 6px 10px;
+      border-top: 1px dashed #3f3f46;
+      border-bottom: 1px dashed #3f3f46;
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+      color: #a3a3a3;
     }
 
-    /* Toolbar Button */
-    .${pfx}-toolbar-btn {
-      display: inline-block;
+    .${pfx}-context-notice summary {
+      cursor: pointer;
+      text-align: center;
+      user-select: none;
+    }
+
+    .${pfx}-context-summary {
+      margin-top: 6px;
+      white-space: pre-wrap;
+      color: #d4d4d8;
+    }
+
+    .${pfx}-context-note {
+      margin-top: 6px;
+      font-size: 11px;
+      opacity: 0.8;
+    }
+
+    .${pfx}-sanitized {
+      margin-top: 8px;
+      padding: 6px 10px;
+      border-left: 3px solid #f5a623;
+      border-radius: 4px;
+      background: rgba(245, 166, 35, 0.12);
+      font-size: 12px;
+      color: #f5d49a;
+    }
+
+    .${pfx}-undo-status {
+      display: block;
+      margin-top: 8px;
+      font-size: 12px;
+      color: #a3a3a3;
+    }
+
+    .${pfx}-undo-error {
+      color: #ff6b7a;
+    }
+
+    /* Blocks */
+    .${pfx}-blocks {
+      margin-top: 8px;
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+    }
+
+    .${pfx}-block-note {
+      font-size: 12px;
+      color: #a3a3a3;
+    }
+
+    .${pfx}-save-block-btn {
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      border-radius: 6px;
+      padding: 4px 10px;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    .${pfx}-save-block-btn:hover {
+      background: rgba(255, 255, 255, 0.3);
+    }
+
+    /* Editor commands */
+    .${pfx}-actions {
+      margin-top: 8px;
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      font-size: 12px;
+    }
+
+    .${pfx}-action {
+      display: flex;
       align-items: center;
-      justify-content: center;
+      gap: 6px;
+      flex-wrap: wrap;
     }
 
-    .${pfx}-toolbar-btn svg {
-      width: 16px;
-      height: 16px;
+    .${pfx}-action-label {
+      flex: 1;
+    }
+
+    .${pfx}-action-status {
+      color: #a3a3a3;
+    }
+
+    .${pfx}-action-failed .${pfx}-action-status,
+    .${pfx}-action-blocked .${pfx}-action-status {
+      color: #ff6b7a;
+    }
+
+    .${pfx}-action-btn {
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      border-radius: 6px;
+      padding: 2px 8px;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    .${pfx}-action-btn:hover {
+      background: rgba(255, 255, 255, 0.3);
+    }
+
+    /* Review */
+    .${pfx}-message-review {
+      max-width: 95%;
+    }
+
+    .${pfx}-review {
+      margin-top: 10px;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+    }
+
+    .${pfx}-review-item {
+      background: #09090B;
+      border: 1px solid #27272A;
+      border-radius: 8px;
+      overflow: hidden;
+    }
+
+    .${pfx}-review-item summary {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 10px;
+      font-size: 12px;
+      cursor: pointer;
+      user-select: none;
+    }
+
+    .${pfx}-review-item input[type="checkbox"] {
+      margin: 0;
+      accent-color: #007370;
+    }
+
+    .${pfx}-diff {
+      margin: 0;
+      padding: 6px 0;
+      max-height: 240px;
+      overflow: auto;
+      border-top: 1px solid #27272A;
+      font-family: 'Monaco', 'Menlo', monospace;
+      font-size: 11px;
+      line-height: 1.5;
+    }
+
+    .${pfx}-diff > div {
+      padding: 0 10px;
+      white-space: pre;
+    }
+
+    .${pfx}-diff-added {
+      background: rgba(46, 160, 67, 0.25);
+      color: #aff5b4;
+    }
+
+    .${pfx}-diff-removed {
+      background: rgba(248, 81, 73, 0.25);
+      color: #ffdcd7;
+    }
+
+    .${pfx}-diff-same {
+      color: #a3a3a3;
+    }
+
+    .${pfx}-review-actions {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      margin-top: 4px;
+    }
+
+    .${pfx}-review-btn,
+    .${pfx}-page-btn {
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      border-radius: 6px;
+      padding: 4px 10px;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    .${pfx}-review-btn:hover,
+    .${pfx}-page-btn:hover {
+      background: rgba(255, 255, 255, 0.3);
+    }
+
+    .${pfx}-review-btn.${pfx}-review-accept {
+      background: #007370;
+    }
+
+    .${pfx}-review-btn.${pfx}-review-accept:hover {
+      background: #005f5c;
+    }
+
+    .${pfx}-review-btn.${pfx}-review-reject:hover {
+      background: #ff4757;
+    }
+
+    .${pfx}-review-btn:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    .${pfx}-page-btn.${pfx}-page-discard:hover {
+      background: #ff4757;
+    }
+
+    .${pfx}-review-status,
+    .${pfx}-page-status {
+      font-size: 12px;
+      color: #a3a3a3;
+    }
+
+    /* Generated pages */
+    .${pfx}-page {
+      margin-top: 10px;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+    }
+
+    .${pfx}-page-title {
+      font-size: 12px;
+      font-weight: 600;
+    }
+
+    .${pfx}-page-actions {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+    }
+
+    /* Mentions and slash commands */
+    .${pfx}-mentions,
+    .${pfx}-slash-commands {
+      position: absolute;
+      left: 12px;
+      right: 12px;
+      bottom: 100%;
+      max-height: 220px;
+      overflow-y: auto;
+      margin-bottom: 4px;
+      padding: 4px;
+      background: #27272A;
+      border: 1px solid #3f3f46;
+      border-radius: 8px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      z-index: 1;
+    }
+
+    .${pfx}-mentions[hidden],
+    .${pfx}-slash-commands[hidden] {
+      display: none;
+    }
+
+    .${pfx}-mention,
+    .${pfx}-slash-command {
+      display: flex;
+      flex-direction: column;
+      padding: 6px 8px;
+      border-radius: 6px;
+      cursor: pointer;
+    }
+
+    .${pfx}-mention-active,
+    .${pfx}-slash-command-active {
+      background: #007370;
+    }
+
+    .${pfx}-mention-label,
+    .${pfx}-slash-command-name {
+      color: #e0e0e0;
+      font-size: 13px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .${pfx}-mention-meta,
+    .${pfx}-mention-empty,
+    .${pfx}-slash-command-description {
+      color: #a3a3a3;
+      font-size: 11px;
+    }
+
+    .${pfx}-mention-empty {
+      padding: 6px 8px;
+    }
+
+    .${pfx}-mention-active .${pfx}-mention-meta,
+    .${pfx}-slash-command-active .${pfx}-slash-command-description {
+      color: #d4d4d8;
+    }
+
+    .${pfx}-slash-command-name {
+      font-family: 'Monaco', 'Menlo', monospace;
+    }
+
+    .${pfx}-command-status {
+      padding: 6px 16px;
+      background: #18181B;
+      border-top: 1px solid #ffffff1a;
+      color: #a3a3a3;
+      font-size: 12px;
+      white-space: pre-line;
+    }
+
+    .${pfx}-command-status[hidden] {
+      display: none;
+    }
+
+    .${pfx}-command-error {
+      color: #ffdcd7;
+    }
+
+    /* Threads */
+    .${pfx}-threads {
+      max-height: 50%;
+      overflow-y: auto;
+      background: #18181B;
+      border-bottom: 1px solid #ffffff1a;
+      padding: 8px;
+    }
+
+    .${pfx}-threads[hidden] {
+      display: none;
+    }
+
+    .${pfx}-thread-list {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+
+    .${pfx}-thread {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      border-radius: 6px;
+    }
+
+    .${pfx}-thread-active {
+      background: #ffffff1a;
+    }
+
+    .${pfx}-thread-name,
+    .${pfx}-thread-input {
+      flex: 1;
+      min-width: 0;
+      text-align: left;
+      background: transparent;
+      border: none;
+      color: #e0e0e0;
+      font-size: 13px;
+      padding: 6px 8px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      cursor: pointer;
+    }
+
+    .${pfx}-thread-input {
+      background: #27272A;
+      border-radius: 4px;
+      outline: none;
+      cursor: text;
+    }
+
+    .${pfx}-thread-new,
+    .${pfx}-thread-btn {
+      background: transparent;
+      border: none;
+      color: #a3a3a3;
+      font-size: 11px;
+      padding: 4px 6px;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+
+    .${pfx}-thread-new {
+      align-self: flex-start;
+      color: #e0e0e0;
+      font-size: 12px;
+    }
+
+    .${pfx}-thread-new:hover,
+    .${pfx}-thread-btn:hover {
+      background: #ffffff1a;
+    }
+
+    .${pfx}-thread-delete[data-confirm] {
+      color: #ff6b7a;
+    }
+
+    .${pfx}-thread-list button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    /* Empty State */
+    .${pfx}-empty {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      height: 100%;
+      color: #a3a3a3;
+      text-align: center;
+      padding: 20px;
+    }
+
+    .${pfx}-empty svg {
+      width: 64px;
+      height: 64px;
+      margin-bottom: 16px;
+    }
+
+    .${pfx}-empty p {
+      margin: 0;
+      font-size: 14px;
+      line-height: 1.5;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+
+    /* Toolbar Button */
+    .${pfx}-toolbar-btn {
+      display: inline-block;
+      align-items: center;
+      justify-content: center;
+    }
+
+    .${pfx}-toolbar-btn svg {
+      width: 16px;
+      height: 16px;
       fill: none;
     }
+
+    .${pfx}-toolbar-btn.${pfx}-toolbar-menu-btn svg {
+      width: 14px;
+      fill: currentColor;
+    }
+
+    /* Batches */
+    .${pfx}-batch-label {
+      margin-bottom: 4px;
+      color: #a3a3a3;
+      font-size: 11px;
+      text-transform: uppercase;
+      letter-spacing: 0.04em;
+    }
+
+    .${pfx}-batch-results {
+      margin: 8px 0 0;
+      padding: 0;
+      list-style: none;
+    }
+
+    .${pfx}-batch-result {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 4px 0;
+      border-top: 1px solid #ffffff1a;
+      font-size: 12px;
+    }
+
+    .${pfx}-batch-component {
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .${pfx}-batch-status {
+      flex-shrink: 0;
+      color: #a3a3a3;
+    }
+
+    .${pfx}-batch-result-changed .${pfx}-batch-status {
+      color: #007370;
+    }
+
+    .${pfx}-batch-result-error .${pfx}-batch-status {
+      color: #ff6b7a;
+    }
+
+    /* Quick actions */
+    .${pfx}-quick-actions {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 6px;
+    }
+
+    .${pfx}-empty .${pfx}-quick-actions {
+      margin-top: 16px;
+    }
+
+    .${pfx}-quick-actions-bar {
+      padding: 8px 12px 0;
+      background: #18181B;
+      border-top: 1px solid #ffffff1a;
+    }
+
+    .${pfx}-quick-actions-bar:empty {
+      display: none;
+    }
+
+    .${pfx}-quick-actions-bar .${pfx}-quick-actions {
+      justify-content: flex-start;
+    }
+
+    .${pfx}-quick-action {
+      padding: 4px 10px;
+      background: transparent;
+      border: 1px solid #3f3f46;
+      border-radius: 12px;
+      color: #e0e0e0;
+      font-size: 12px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      cursor: pointer;
+    }
+
+    .${pfx}-quick-action:hover {
+      border-color: #007370;
+      background: #ffffff1a;
+    }
+
+    .${pfx}-quick-menu {
+      position: fixed;
+      display: flex;
+      flex-direction: column;
+      min-width: 180px;
+      padding: 4px;
+      background: #27272A;
+      border: 1px solid #3f3f46;
+      border-radius: 8px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+      z-index: 20;
+    }
+
+    .${pfx}-quick-menu-item {
+      padding: 6px 10px;
+      background: transparent;
+      border: none;
+      border-radius: 6px;
+      color: #e0e0e0;
+      font-size: 13px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      text-align: left;
+      cursor: pointer;
+    }
+
+    .${pfx}-quick-menu-item:hover:not(:disabled) {
+      background: #007370;
+    }
+
+    .${pfx}-quick-menu-item:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
   `;
 
   // Inject styles into the document
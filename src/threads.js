@@ -0,0 +1,315 @@
+/**
+ * Threads Module for GrapesJS AI Agent Plugin
+ * Keeps several named conversations, each with its own history and
+ * component context. The active thread's data lives on the state
+ * (`state.history`, `state.pendingComponents`, ...), so the rest of the
+ * plugin only ever sees the current conversation.
+ */
+
+// State fields that belong to a thread, with their initial values
+const THREAD_FIELDS = {
+  history: () => [],
+  pendingComponents: () => [],
+  lastUsedComponents: () => [],
+  summary: () => ''
+};
+
+// Maximum number of characters of the first message used as a thread name
+const NAME_PREVIEW_LENGTH = 32;
+
+export default (editor, opts = {}, state) => {
+  const pfx = opts.classPrefix || 'gaia';
+
+  /**
+   * Creates a thread id that is not used yet
+   * @returns {string}
+   */
+  const createId = () => {
+    let index = state.threads.length + 1;
+    while (state.threads.some((thread) => thread.id === `thread-${index}`)) {
+      index++;
+    }
+    return `thread-${index}`;
+  };
+
+  /**
+   * Creates an empty thread
+   * @param {string} name - Thread name (empty to name it after its first message)
+   * @returns {Object}
+   */
+  const createThread = (name = '') => {
+    const thread = { id: createId(), name: String(name || '').trim() };
+    Object.entries(THREAD_FIELDS).forEach(([field, initial]) => {
+      thread[field] = initial();
+    });
+    return thread;
+  };
+
+  /**
+   * Gets the active thread
+   * @returns {Object}
+   */
+  const getActive = () => state.threads.find((thread) => thread.id === state.threadId);
+
+  /**
+   * Copies the state of the current conversation into the active thread
+   */
+  const sync = () => {
+    const active = getActive();
+    if (!active) return;
+    Object.keys(THREAD_FIELDS).forEach((field) => {
+      active[field] = state[field];
+    });
+  };
+
+  /**
+   * Makes a thread the current conversation
+   * @param {Object} thread - Thread
+   */
+  const activate = (thread) => {
+    state.threadId = thread.id;
+    Object.keys(THREAD_FIELDS).forEach((field) => {
+      state[field] = thread[field];
+    });
+  };
+
+  /**
+   * Tells the panel (and the storage) that the threads changed
+   */
+  const notify = () => {
+    editor.trigger(`${pfx}:thread:change`, { threadId: state.threadId });
+  };
+
+  /**
+   * Gets the name shown for a thread
+   * @param {Object} thread - Thread
+   * @returns {string} - Its name, or the start of its first message
+   */
+  const getName = (thread) => {
+    if (thread.name) return thread.name;
+    const first = thread.history.find((msg) => msg.role === 'user' && msg.content);
+    if (!first) return 'New thread';
+    const text = first.content.trim().replace(/\s+/g, ' ');
+    return text.length > NAME_PREVIEW_LENGTH ? `${text.slice(0, NAME_PREVIEW_LENGTH)}…` : text;
+  };
+
+  /**
+   * Switches to another thread. Not possible while a request is in flight.
+   * @param {string} id - Thread id
+   * @returns {boolean} - Whether the thread is now active
+   */
+  const switchTo = (id) => {
+    const thread = state.threads.find((item) => item.id === id);
+    if (!thread || state.isLoading) return false;
+    if (thread.id === state.threadId) return true;
+
+    sync();
+    activate(thread);
+    notify();
+    return true;
+  };
+
+  /**
+   * Creates a thread and switches to it
+   * @param {string} name - Thread name (empty to name it after its first message)
+   * @returns {string|null} - Id of the new thread, or null while a request is in flight
+   */
+  const create = (name = '') => {
+    if (state.isLoading) return null;
+
+    const thread = createThread(name);
+    sync();
+    state.threads.push(thread);
+    activate(thread);
+    notify();
+    return thread.id;
+  };
+
+  /**
+   * Renames a thread
+   * @param {string} id - Thread id
+   * @param {string} name - New name (empty to name it after its first message)
+   */
+  const rename = (id, name) => {
+    const thread = state.threads.find((item) => item.id === id);
+    if (!thread) return;
+    thread.name = String(name || '').trim();
+    notify();
+  };
+
+  /**
+   * Deletes a thread. Deleting the active one switches to the previous
+   * thread, or to a new empty one when it was the last.
+   * @param {string} id - Thread id
+   * @returns {boolean} - Whether the thread was deleted
+   */
+  const remove = (id) => {
+    const index = state.threads.findIndex((item) => item.id === id);
+    if (index < 0 || (id === state.threadId && state.isLoading)) return false;
+
+    state.threads.splice(index, 1);
+    if (id === state.threadId) {
+      if (!state.threads.length) {
+        state.threads.push(createThread());
+      }
+      activate(state.threads[Math.max(0, index - 1)]);
+    }
+    notify();
+    return true;
+  };
+
+  /**
+   * Lists the threads
+   * @returns {Object[]} - [{ id, name, messages, active }]
+   */
+  const getAll = () => {
+    sync();
+    return state.threads.map((thread) => ({
+      id: thread.id,
+      name: getName(thread),
+      messages: thread.history.length,
+      active: thread.id === state.threadId
+    }));
+  };
+
+  /**
+   * Gets the threads to save, with the active one up to date
+   * @returns {Object[]}
+   */
+  const serialize = () => {
+    sync();
+    return state.threads;
+  };
+
+  /**
+   * Replaces the threads with saved ones. Fields of the wrong type are reset.
+   * @param {Object[]} threads - Saved threads
+   * @param {string} activeId - Id of the thread to activate (the last one by default)
+   */
+  const restore = (threads, activeId) => {
+    state.threads = [];
+    (Array.isArray(threads) ? threads : []).forEach((saved) => {
+      if (!saved || !Array.isArray(saved.history)) return;
+      const thread = createThread(saved.name);
+      if (saved.id && !state.threads.some((item) => item.id === saved.id)) {
+        thread.id = saved.id;
+      }
+      Object.entries(THREAD_FIELDS).forEach(([field, initial]) => {
+        const value = initial();
+        if (typeof saved[field] === typeof value && Array.isArray(saved[field]) === Array.isArray(value)) {
+          thread[field] = saved[field];
+        }
+      });
+      state.threads.push(thread);
+    });
+
+    if (!state.threads.length) {
+      state.threads.push(createThread());
+    }
+    activate(state.threads.find((thread) => thread.id === activeId) || state.threads[state.threads.length - 1]);
+  };
+
+  /**
+   * Renders the thread list, with buttons to switch, rename and delete threads
+   * @param {Function} onSwitch - Called after switching or creating a thread
+   * @returns {HTMLElement}
+   */
+  const renderList = (onSwitch) => {
+    const container = document.createElement('div');
+    container.className = `${pfx}-thread-list`;
+
+    const addButton = (parent, text, className, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = className;
+      btn.textContent = text;
+      btn.disabled = state.isLoading;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick(btn);
+      });
+      parent.appendChild(btn);
+      return btn;
+    };
+
+    addButton(container, '+ New thread', `${pfx}-thread-new`, () => {
+      if (create()) onSwitch?.();
+    });
+
+    getAll().forEach((thread) => {
+      const item = document.createElement('div');
+      item.className = `${pfx}-thread`;
+      if (thread.active) {
+        item.classList.add(`${pfx}-thread-active`);
+      }
+
+      const name = document.createElement('button');
+      name.className = `${pfx}-thread-name`;
+      name.textContent = thread.name;
+      name.title = `${thread.messages} message${thread.messages === 1 ? '' : 's'}`;
+      name.disabled = state.isLoading && !thread.active;
+      name.addEventListener('click', () => {
+        if (switchTo(thread.id)) onSwitch?.();
+      });
+      item.appendChild(name);
+
+      addButton(item, 'Rename', `${pfx}-thread-btn`, () => {
+        const input = document.createElement('input');
+        input.className = `${pfx}-thread-input`;
+        input.value = state.threads.find((saved) => saved.id === thread.id)?.name || thread.name;
+        let done = false;
+        const finish = (save) => {
+          if (done) return;
+          done = true;
+          input.blur();
+          if (save) {
+            rename(thread.id, input.value);
+          } else {
+            notify();
+          }
+        };
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') finish(true);
+          if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        item.replaceChild(input, name);
+        input.focus();
+        input.select();
+      });
+
+      // Deleting asks for a second click
+      addButton(item, 'Delete', `${pfx}-thread-btn ${pfx}-thread-delete`, (btn) => {
+        if (btn.dataset.confirm) {
+          remove(thread.id);
+        } else {
+          btn.dataset.confirm = 'true';
+          btn.textContent = 'Delete?';
+        }
+      });
+
+      container.appendChild(item);
+    });
+
+    return container;
+  };
+
+  // Start with one thread holding the current conversation
+  state.threads = [];
+  state.threadId = null;
+  const initial = createThread();
+  state.threads.push(initial);
+  activate(initial);
+
+  return {
+    getActive,
+    getName,
+    getAll,
+    create,
+    switchTo,
+    rename,
+    remove,
+    serialize,
+    restore,
+    renderList
+  };
+};
@@ -1,6 +1,7 @@
 /**
  * Toolbar Module for GrapesJS AI Agent Plugin
- * Adds a "Send to Chat" button to the component toolbar
+ * Adds a "Send to Chat" button to the component toolbar, with a dropdown
+ * of quick actions to run on the component
  */
 
 // SVG icon for the toolbar button (chat/send icon)
@@ -10,25 +11,40 @@ const toolbarIcon = `
   </svg>
 `;
 
+// SVG icon for the quick actions dropdown
+const menuIcon = `
+  <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+    <path d="M7 10l5 5 5-5z"/>
+  </svg>
+`;
+
 export default (editor, opts = {}, state, chatbotModule) => {
   const pfx = opts.classPrefix || 'gaia';
   const commandId = `${pfx}:add-to-chat`;
   const toolbarBtnId = `${pfx}-send-to-chat`;
+  const menuCommandId = `${pfx}:quick-actions`;
+  const menuBtnId = `${pfx}-quick-actions`;
+
+  // Open quick actions dropdown
+  let menuEl = null;
 
   /**
    * Registers the command for adding component to chat
    */
   const registerCommand = () => {
     editor.Commands.add(commandId, {
-      run(editor) {
-        const selected = editor.getSelected();
-        if (selected) {
-          // Get the component's unique ID
-          const componentId = selected.cid || selected.getId();
-          
-          // Add to chatbot
+      /**
+       * @param {Object} editor - GrapesJS editor
+       * @param {Object} sender - Command sender
+       * @param {Object} options - { components (the selected ones by default), subtree (the sendSubtree option by default) }
+       */
+      run(editor, sender, options = {}) {
+        const selected = options.components || editor.getSelectedAll();
+        if (selected.length) {
+          // Add to chatbot (referenced by their persistent ids)
           if (chatbotModule) {
-            chatbotModule.addComponentBadge(componentId);
+            const subtree = options.subtree ?? !!opts.sendSubtree;
+            selected.forEach((component) => chatbotModule.addComponentBadge(component, { subtree }));
             
             // Open panel if not already open
             if (!state.isOpen) {
@@ -38,6 +54,89 @@ export default (editor, opts = {}, state, chatbotModule) => {
         }
       }
     });
+
+    editor.Commands.add(menuCommandId, {
+      run() {
+        if (menuEl) {
+          closeMenu();
+        } else {
+          openMenu();
+        }
+      }
+    });
+  };
+
+  /**
+   * Closes the quick actions dropdown
+   */
+  const closeMenu = () => {
+    if (!menuEl) return;
+    menuEl.remove();
+    menuEl = null;
+    document.removeEventListener('mousedown', handleOutsideClick, true);
+    document.removeEventListener('keydown', handleMenuKeyDown, true);
+  };
+
+  /**
+   * Closes the dropdown when clicking elsewhere
+   * @param {MouseEvent} e - mousedown event
+   */
+  const handleOutsideClick = (e) => {
+    if (!menuEl.contains(e.target)) {
+      closeMenu();
+    }
+  };
+
+  /**
+   * Closes the dropdown with Escape
+   * @param {KeyboardEvent} e - keydown event
+   */
+  const handleMenuKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      closeMenu();
+    }
+  };
+
+  /**
+   * Opens the quick actions dropdown under the toolbar, to run one on the
+   * selected components
+   */
+  const openMenu = () => {
+    const selected = editor.getSelectedAll();
+    if (!selected.length || !chatbotModule) return;
+
+    menuEl = document.createElement('div');
+    menuEl.className = `${pfx}-quick-menu`;
+    menuEl.setAttribute('role', 'menu');
+
+    chatbotModule.getQuickActions().forEach((action) => {
+      const item = document.createElement('button');
+      item.className = `${pfx}-quick-menu-item`;
+      item.setAttribute('role', 'menuitem');
+      item.textContent = action.label;
+      item.disabled = state.isLoading;
+      item.addEventListener('click', () => {
+        closeMenu();
+        if (!state.isOpen) {
+          state.togglePanel();
+        }
+        chatbotModule.runQuickAction(action, selected);
+      });
+      menuEl.appendChild(item);
+    });
+
+    document.body.appendChild(menuEl);
+
+    // The toolbar lives outside the canvas frame, so the dropdown can be placed from its button
+    const button = editor.getContainer()?.querySelector(`.${editor.getConfig().stylePrefix}toolbar-item__${menuBtnId}`);
+    const rect = button?.getBoundingClientRect();
+    if (rect) {
+      menuEl.style.top = `${rect.bottom + 4}px`;
+      menuEl.style.left = `${Math.max(4, rect.right - menuEl.offsetWidth)}px`;
+    }
+
+    document.addEventListener('mousedown', handleOutsideClick, true);
+    document.addEventListener('keydown', handleMenuKeyDown, true);
   };
 
   /**
@@ -67,6 +166,19 @@ export default (editor, opts = {}, state, chatbotModule) => {
       }
     ];
 
+    // And the quick actions dropdown next to it
+    if (chatbotModule?.getQuickActions().length) {
+      newToolbar.push({
+        id: menuBtnId,
+        command: menuCommandId,
+        attributes: {
+          class: `${pfx}-toolbar-btn ${pfx}-toolbar-menu-btn`,
+          title: 'AI quick actions'
+        },
+        label: menuIcon
+      });
+    }
+
     component.set('toolbar', newToolbar);
   };
 
@@ -81,6 +193,7 @@ export default (editor, opts = {}, state, chatbotModule) => {
 
     // Also handle when switching between components
     editor.on('component:toggled', (component) => {
+      closeMenu();
       if (component) {
         addToolbarButton(component);
       }
@@ -100,7 +213,9 @@ export default (editor, opts = {}, state, chatbotModule) => {
 
   return {
     addToolbarButton,
+    closeMenu,
     commandId,
-    toolbarBtnId
+    toolbarBtnId,
+    menuCommandId
   };
 };
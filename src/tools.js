@@ -0,0 +1,204 @@
+/**
+ * Tools Module for GrapesJS AI Agent Plugin
+ * Registry of tools the backend can call to query the editor while
+ * working on a message (see `toolCalls` in the response format)
+ */
+
+// Maximum number of components returned by findComponents
+const DEFAULT_FIND_LIMIT = 20;
+
+// Maximum number of characters of text returned per found component
+const TEXT_PREVIEW_LENGTH = 80;
+
+export default (editor, opts = {}, getApi) => {
+  const tools = {};
+
+  // The registry exists before the API module, which the tools only need when they run
+  const findComponentById = (id) => getApi().findComponentById(id);
+
+  /**
+   * Describes a component briefly, for lists of components
+   * @param {Object} component - GrapesJS component
+   * @returns {Object} - { id, type, tagName, name, classes, text }
+   */
+  const describeComponent = (component) => {
+    const summary = getApi().context.summarize(component);
+    const text = (component.getEl?.()?.textContent ?? component.toHTML().replace(/<[^>]*>/g, ' '))
+      .trim()
+      .replace(/\s+/g, ' ');
+    if (text) {
+      summary.text = text.length > TEXT_PREVIEW_LENGTH ? `${text.slice(0, TEXT_PREVIEW_LENGTH)}…` : text;
+    }
+    return summary;
+  };
+
+  /**
+   * Gets a component or throws a tool error
+   * @param {string} id - Component ID
+   * @returns {Object} - GrapesJS component
+   */
+  const requireComponent = (id) => {
+    const component = findComponentById(id);
+    if (!component) {
+      throw new Error(`Component "${id}" not found`);
+    }
+    return component;
+  };
+
+  // Built-in tools
+  const builtInTools = {
+    getComponent: {
+      description: 'Gets the HTML, CSS and context of a component by id.',
+      parameters: {
+        type: 'object',
+        properties: { id: { type: 'string' } },
+        required: ['id']
+      },
+      handler: ({ id }) => getApi().context.buildContext(requireComponent(id))
+    },
+
+    findComponents: {
+      description: 'Finds components by CSS selector and/or GrapesJS type. Returns brief descriptions with their ids.',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string' },
+          type: { type: 'string' },
+          limit: { type: 'number' }
+        }
+      },
+      handler: ({ selector, type, limit = DEFAULT_FIND_LIMIT } = {}) => {
+        const wrapper = editor.getWrapper();
+        if (!wrapper) return { total: 0, components: [] };
+
+        const matchesType = (component) => !type || component.get('type') === type;
+        const found = selector
+          ? wrapper.find(selector).filter(matchesType)
+          : wrapper.findType(matchesType);
+
+        return {
+          total: found.length,
+          components: found.slice(0, limit).map(describeComponent)
+        };
+      }
+    },
+
+    listPages: {
+      description: 'Lists the pages of the project and which one is selected.',
+      parameters: { type: 'object', properties: {} },
+      handler: () => {
+        const pages = editor.Pages;
+        if (!pages) return [];
+        const selected = pages.getSelected();
+        return pages.getAll().map((page) => ({
+          id: page.getId(),
+          name: page.getName?.() || page.get('name') || page.getId(),
+          selected: page === selected
+        }));
+      }
+    },
+
+    getCss: {
+      description: 'Gets CSS: the rules affecting a component (id), the rules for a selector, or the whole project CSS.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          selector: { type: 'string' }
+        }
+      },
+      handler: ({ id, selector } = {}) => {
+        if (id) {
+          return getApi().css.getComponentCss(requireComponent(id));
+        }
+        if (selector) {
+          return editor.Css.getRules(selector).map((rule) => rule.toCSS()).join('\n');
+        }
+        return editor.getCss();
+      }
+    },
+
+    getSelected: {
+      description: 'Gets the components currently selected in the editor.',
+      parameters: { type: 'object', properties: {} },
+      handler: () => editor.getSelectedAll().map(describeComponent)
+    }
+  };
+
+  /**
+   * Registers a tool the backend can call
+   * @param {string} name - Tool name
+   * @param {Object} tool - { description, parameters (JSON schema), handler(args, { editor }) }
+   */
+  const register = (name, tool = {}) => {
+    if (!name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler function');
+    }
+    tools[name] = tool;
+  };
+
+  /**
+   * Removes a registered tool
+   * @param {string} name - Tool name
+   */
+  const unregister = (name) => {
+    delete tools[name];
+  };
+
+  /**
+   * Gets the tool definitions sent to the backend
+   * @returns {Object[]} - [{ name, description, parameters }]
+   */
+  const getDefinitions = () => {
+    return Object.entries(tools).map(([name, tool]) => ({
+      name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    }));
+  };
+
+  /**
+   * Executes the tool calls of a response. Failures are reported in the
+   * results (as `error`) so the backend can react to them.
+   * @param {Object[]} toolCalls - [{ id, name, arguments }] (arguments may be a JSON string)
+   * @returns {Promise<Object[]>} - [{ id, name, result } | { id, name, error }]
+   */
+  const execute = async (toolCalls = []) => {
+    const results = [];
+
+    for (const call of toolCalls) {
+      const { id, name } = call || {};
+
+      try {
+        const tool = tools[name];
+        if (!tool) {
+          throw new Error(`Unknown tool "${name}"`);
+        }
+
+        let args = call.arguments ?? call.args ?? {};
+        if (typeof args === 'string') {
+          args = args.trim() ? JSON.parse(args) : {};
+        }
+
+        const result = await tool.handler(args, { editor });
+        results.push({ id, name, result: result === undefined ? null : result });
+      } catch (error) {
+        console.warn(`Tool "${name}" failed:`, error);
+        results.push({ id, name, error: error.message || String(error) });
+      }
+    }
+
+    return results;
+  };
+
+  // Register the built-in tools, then the ones from the options (which may override them)
+  Object.entries(builtInTools).forEach(([name, tool]) => register(name, tool));
+  Object.entries(opts.tools || {}).forEach(([name, tool]) => register(name, tool));
+
+  return {
+    register,
+    unregister,
+    getDefinitions,
+    execute
+  };
+};
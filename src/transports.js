@@ -0,0 +1,473 @@
+/**
+ * Transports Module for GrapesJS AI Agent Plugin
+ * Built-in adapters that carry request payloads to the AI backend.
+ *
+ * A transport is an object with a `send(payload, { signal })` method that
+ * returns either a Promise resolving to a response object
+ * (`{ reply, modifications }`) or an AsyncIterable of stream events
+ * (see `consumeStream` in the API module).
+ */
+
+/**
+ * Creates an error with a specific name, so callers can tell
+ * cancellations and timeouts apart from API failures
+ * @param {string} name - Error name (e.g. 'AbortError', 'TimeoutError')
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+export const createError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Detects whether a response body is streamed, based on its content type
+ * @param {Response} response - Fetch response
+ * @returns {string|null} - 'sse', 'ndjson' or null for a plain JSON body
+ */
+const getStreamFormat = (response) => {
+  const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+  if (contentType.includes('text/event-stream')) return 'sse';
+  if (contentType.includes('ndjson') || contentType.includes('jsonl') || contentType.includes('json-seq')) {
+    return 'ndjson';
+  }
+  return null;
+};
+
+/**
+ * Reads a streamed response body and yields each parsed JSON event.
+ * Supports Server-Sent Events (`data: {...}` blocks, `[DONE]` terminator)
+ * and newline-delimited JSON (one object per line).
+ * @param {Response} response - Fetch response with a readable body
+ * @param {string} format - 'sse' or 'ndjson'
+ */
+async function* readStream(response, format) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let sseData = [];
+  let finished = false;
+
+  const parse = (text) => {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      console.warn('Ignoring malformed stream chunk:', text);
+      return null;
+    }
+  };
+
+  // Turns one line of the stream into an event (or null if nothing to emit yet)
+  const processLine = (line) => {
+    if (format === 'ndjson') {
+      return line.trim() ? parse(line) : null;
+    }
+
+    // SSE: accumulate data lines until a blank line dispatches the event
+    if (line === '') {
+      const data = sseData.join('\n');
+      sseData = [];
+      if (!data || data === '[DONE]') {
+        return data === '[DONE]' ? { done: true } : null;
+      }
+      return parse(data);
+    }
+    if (line.startsWith('data:')) {
+      sseData.push(line.slice(5).replace(/^ /, ''));
+    }
+    // Comments (":") and other fields (event, id, retry) are ignored
+    return null;
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+      const lines = buffer.split(/\r?\n/);
+      buffer = done ? '' : lines.pop();
+
+      for (const line of lines) {
+        const event = processLine(line);
+        if (event) yield event;
+      }
+
+      if (done) break;
+    }
+
+    finished = true;
+
+    // Flush a trailing SSE event without a final blank line
+    const event = processLine('');
+    if (event) yield event;
+  } finally {
+    // Stop the download when the consumer gives up before the end (cancel, error)
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Creates a push-based queue of stream events exposed as an AsyncIterable.
+ * Used by message-based transports, where events arrive through callbacks.
+ * @param {AbortSignal} signal - Optional signal that fails the queue when aborted
+ * @returns {Object} - { push(event), fail(error), end(), onClose(fn), [Symbol.asyncIterator] }
+ */
+const createEventQueue = (signal) => {
+  const events = [];
+  const waiting = [];
+  const closeHandlers = [];
+  let error = null;
+  let ended = false;
+
+  const settle = () => {
+    while (waiting.length && (events.length || error || ended)) {
+      const { resolve, reject } = waiting.shift();
+      if (events.length) {
+        resolve({ value: events.shift(), done: false });
+      } else if (error) {
+        reject(error);
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  };
+
+  const close = () => {
+    signal?.removeEventListener('abort', onAbort);
+    closeHandlers.splice(0).forEach((handler) => handler());
+  };
+
+  const queue = {
+    push(event) {
+      if (ended || error) return;
+      events.push(event);
+      if (event?.done) queue.end();
+      settle();
+    },
+    fail(err) {
+      if (ended || error) return;
+      error = err;
+      close();
+      settle();
+    },
+    end() {
+      if (ended || error) return;
+      ended = true;
+      close();
+      settle();
+    },
+    onClose(handler) {
+      closeHandlers.push(handler);
+    },
+    [Symbol.asyncIterator]() {
+      return {
+        next: () => new Promise((resolve, reject) => {
+          waiting.push({ resolve, reject });
+          settle();
+        }),
+        return: () => {
+          queue.end();
+          return Promise.resolve({ value: undefined, done: true });
+        }
+      };
+    }
+  };
+
+  const onAbort = () => queue.fail(createError('AbortError', 'Request cancelled.'));
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort);
+  }
+
+  return queue;
+};
+
+/**
+ * Generates an identifier used to match responses to requests
+ * @returns {string}
+ */
+const createRequestId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * HTTP transport: POSTs the payload as JSON with `fetch`.
+ * Plain JSON responses resolve to the response object; `text/event-stream`
+ * and `application/x-ndjson` responses are returned as a stream of events.
+ * Non-OK responses throw an error carrying `status` and `retryAfter`.
+ * @param {Object} config - Transport configuration
+ * @param {string} config.url - API endpoint
+ * @param {Object} config.headers - Additional request headers
+ * @param {boolean} config.stream - Whether to advertise streamed formats in the Accept header
+ * @returns {Object} - Transport
+ */
+export const fetchTransport = ({ url, headers = {}, stream = true } = {}) => ({
+  async send(payload, { signal } = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': stream
+          ? 'application/json, text/event-stream, application/x-ndjson'
+          : 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`API error (${response.status}): ${errorText || 'Unknown error'}`);
+      error.status = response.status;
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      throw error;
+    }
+
+    const streamFormat = getStreamFormat(response);
+    if (streamFormat && response.body) {
+      return readStream(response, streamFormat);
+    }
+
+    return response.json();
+  }
+});
+
+/**
+ * WebSocket transport: sends `{ id, ...payload }` as a JSON message and
+ * reads stream events back from messages carrying the same `id` until one
+ * has `done: true`. A plain response can be sent as a single
+ * `{ id, reply, modifications, done: true }` message.
+ * Cancelled requests send `{ id, abort: true }`.
+ * The socket is opened lazily and reused across requests.
+ * @param {Object} config - Transport configuration
+ * @param {string} config.url - WebSocket URL (ws:// or wss://)
+ * @param {string|string[]} config.protocols - Optional subprotocols
+ * @param {WebSocket} config.socket - Optional existing socket to use instead of `url`
+ * @returns {Object} - Transport
+ */
+export const webSocketTransport = ({ url, protocols, socket: existingSocket } = {}) => {
+  let socket = existingSocket || null;
+  let opening = null;
+  const pending = new Map();
+
+  const handleMessage = (e) => {
+    let data;
+    try {
+      data = JSON.parse(e.data);
+    } catch (err) {
+      console.warn('Ignoring malformed WebSocket message:', e.data);
+      return;
+    }
+    if (!data || typeof data !== 'object') return;
+
+    // Messages without an id are routed to the only pending request, if unambiguous
+    const { id, ...event } = data;
+    const queue = id != null ? pending.get(id) : pending.size === 1 ? [...pending.values()][0] : null;
+    queue?.push(event);
+  };
+
+  const handleClose = () => {
+    pending.forEach((queue) => queue.fail(new TypeError('WebSocket connection closed before the response completed')));
+    socket = null;
+  };
+
+  const attach = (ws) => {
+    ws.addEventListener('message', handleMessage);
+    ws.addEventListener('close', handleClose);
+    socket = ws;
+  };
+
+  /**
+   * Opens the socket, or waits for it to open. Concurrent requests share the
+   * same attempt, whose listeners are removed once it settles or once no
+   * request waits for it anymore.
+   * @param {AbortSignal} [signal] - Signal of the request waiting for the socket
+   * @returns {Promise<WebSocket>}
+   */
+  const connect = (signal) => {
+    if (signal?.aborted) return Promise.reject(createError('AbortError', 'Request cancelled.'));
+    if (socket && socket.readyState === WebSocket.OPEN) return Promise.resolve(socket);
+
+    if (!opening) {
+      if (!socket || socket.readyState !== WebSocket.CONNECTING) {
+        if (!url) return Promise.reject(new Error('WebSocket transport has no open socket or url'));
+        attach(new WebSocket(url, protocols));
+      }
+
+      const ws = socket;
+      const attempt = { waiting: 0 };
+      attempt.promise = new Promise((resolve, reject) => {
+        const onOpen = () => {
+          attempt.stop();
+          resolve(ws);
+        };
+        const onError = () => {
+          attempt.stop();
+          reject(new TypeError('WebSocket connection failed'));
+        };
+        attempt.stop = () => {
+          ws.removeEventListener('open', onOpen);
+          ws.removeEventListener('error', onError);
+          if (opening === attempt) opening = null;
+        };
+        ws.addEventListener('open', onOpen);
+        ws.addEventListener('error', onError);
+      });
+      opening = attempt;
+    }
+
+    const attempt = opening;
+    attempt.waiting++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        // The socket keeps connecting for later requests, but nothing waits for it now
+        if (--attempt.waiting === 0) attempt.stop();
+        reject(createError('AbortError', 'Request cancelled.'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      attempt.promise.then(resolve, reject).finally(() => signal?.removeEventListener('abort', onAbort));
+    });
+  };
+
+  if (existingSocket) {
+    attach(existingSocket);
+  }
+
+  return {
+    async send(payload, { signal } = {}) {
+      const ws = await connect(signal);
+      const id = createRequestId();
+      const queue = createEventQueue(signal);
+
+      pending.set(id, queue);
+      queue.onClose(() => {
+        pending.delete(id);
+        if (signal?.aborted && ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ id, abort: true }));
+        }
+      });
+
+      ws.send(JSON.stringify({ id, ...payload }));
+      return queue;
+    },
+
+    /**
+     * Closes the underlying socket
+     */
+    close() {
+      socket?.close();
+      socket = null;
+    }
+  };
+};
+
+/**
+ * postMessage transport: bridges requests to another window (by default
+ * the parent window, e.g. when the editor runs in an iframe).
+ *
+ * Requests are posted as `{ type: '<channel>:request', id, payload }`.
+ * The other window answers with `{ type: '<channel>:event', id, event }`
+ * messages, where `event` is a stream event, until one has `done: true`.
+ * Cancelled requests post `{ type: '<channel>:abort', id }`.
+ * @param {Object} config - Transport configuration
+ * @param {Window} config.target - Window to talk to (default: window.parent)
+ * @param {string} config.targetOrigin - Origin of the target window, the only one messages
+ *   are posted to and accepted from (default: the origin of the editor page). '*' is not
+ *   allowed, as requests hold page content and the chat history.
+ * @param {string} config.channel - Message type prefix (default: 'grapesjs-ai-agent')
+ * @returns {Object} - Transport
+ */
+export const postMessageTransport = ({ target, targetOrigin = window.location.origin, channel = 'grapesjs-ai-agent' } = {}) => {
+  if (!targetOrigin || targetOrigin === '*') {
+    throw new Error("postMessage transport needs a targetOrigin other than '*'");
+  }
+
+  return {
+    async send(payload, { signal } = {}) {
+      const targetWindow = target || window.parent;
+      if (!targetWindow || targetWindow === window) {
+        throw new Error('postMessage transport has no target window');
+      }
+
+      const id = createRequestId();
+      const queue = createEventQueue(signal);
+
+      const handleMessage = (e) => {
+        if (e.source !== targetWindow || e.origin !== targetOrigin) return;
+
+        const data = e.data;
+        if (!data || data.type !== `${channel}:event` || data.id !== id) return;
+        queue.push(data.event);
+      };
+
+      window.addEventListener('message', handleMessage);
+      queue.onClose(() => {
+        window.removeEventListener('message', handleMessage);
+        if (signal?.aborted) {
+          targetWindow.postMessage({ type: `${channel}:abort`, id }, targetOrigin);
+        }
+      });
+
+      targetWindow.postMessage({ type: `${channel}:request`, id, payload }, targetOrigin);
+      return queue;
+    }
+  };
+};
+
+/**
+ * Built-in transports, addressable with `api: { type: '<name>', ...config }`
+ */
+export const transports = {
+  fetch: fetchTransport,
+  websocket: webSocketTransport,
+  postMessage: postMessageTransport
+};
+
+/**
+ * Resolves the `api` plugin option into a transport
+ * @param {string|Function|Object} api - URL, send function, transport object
+ *   or built-in transport descriptor (`{ type, ...config }`)
+ * @param {Object} opts - Plugin options (headers and stream apply to URLs)
+ * @returns {Object|null} - Transport, or null if none is configured
+ */
+export const resolveTransport = (api, opts = {}) => {
+  if (!api) return null;
+
+  if (typeof api === 'string') {
+    return fetchTransport({ url: api, headers: opts.headers, stream: opts.stream !== false });
+  }
+
+  if (typeof api === 'function') {
+    return { send: api };
+  }
+
+  if (typeof api.send === 'function') {
+    return api;
+  }
+
+  const factory = transports[api.type];
+  if (!factory) {
+    console.warn(`grapesjs-ai-agent: unknown transport type "${api.type}".`);
+    return null;
+  }
+
+  const { type, ...config } = api;
+  return factory(type === 'fetch' ? { headers: opts.headers, stream: opts.stream !== false, ...config } : config);
+};
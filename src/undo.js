@@ -0,0 +1,192 @@
+/**
+ * Undo Module for GrapesJS AI Agent Plugin
+ * Groups the changes of each AI response into a single UndoManager step
+ * and reverts them on demand, even after later edits when they don't overlap
+ */
+
+export default (editor, opts = {}) => {
+  // Transaction currently recording, so nested calls don't record twice
+  let recording = null;
+
+  /**
+   * Gets the UndoManager stack
+   * @returns {Object|null} - Backbone collection of undo actions
+   */
+  const getStack = () => editor.UndoManager?.getStack?.() || null;
+
+  /**
+   * Creates an empty transaction to record the changes of one AI response
+   * @returns {Object} - { entries, reverts }
+   */
+  const createTransaction = () => ({
+    // Undo actions created by the applied changes
+    entries: [],
+    // Undo actions created when the changes were reverted out of order
+    reverts: []
+  });
+
+  /**
+   * Runs a function and returns the undo actions it added to the stack
+   * @param {Function} fn - Function applying changes
+   * @returns {Array} - [result of fn, added undo actions]
+   */
+  const collect = (fn) => {
+    const stack = getStack();
+    if (!stack) return [fn(), []];
+
+    const known = new Set(stack.models);
+    const result = fn();
+    return [result, stack.models.filter((entry) => !known.has(entry))];
+  };
+
+  /**
+   * Runs a function applying changes and records its undo actions in a
+   * transaction. Actions recorded across several calls (e.g. while
+   * streaming) are fused into one undo step as long as nothing else was
+   * recorded in between.
+   * @param {Object} transaction - Transaction from createTransaction
+   * @param {Function} fn - Function applying changes
+   * @returns {*} - Result of fn
+   */
+  const record = (transaction, fn) => {
+    if (!transaction || recording) return fn();
+
+    recording = transaction;
+    let result;
+    let added;
+    try {
+      [result, added] = collect(fn);
+    } finally {
+      recording = null;
+    }
+
+    const stack = getStack();
+    const last = transaction.entries[transaction.entries.length - 1];
+    if (last && added.length && stack.indexOf(added[0]) === stack.indexOf(last) + 1) {
+      const index = last.get('magicFusionIndex');
+      added.forEach((entry) => entry.set('magicFusionIndex', index));
+    }
+
+    transaction.entries.push(...added);
+    return result;
+  };
+
+  /**
+   * Checks whether an undo action is currently applied (not undone)
+   * @param {Object} entry - Undo action
+   * @returns {boolean}
+   */
+  const isApplied = (entry) => {
+    const stack = getStack();
+    const index = stack ? stack.indexOf(entry) : -1;
+    return index > -1 && index <= stack.pointer;
+  };
+
+  /**
+   * Gets the state of a transaction
+   * @param {Object} transaction - Transaction
+   * @returns {string} - 'empty' (nothing recorded), 'applied', 'undone' or
+   *   'unknown' (partially undone, or dropped from the undo history)
+   */
+  const getStatus = (transaction) => {
+    const stack = getStack();
+    if (!transaction || !transaction.entries.length || !stack) return 'empty';
+
+    if (transaction.reverts.length && transaction.reverts.every(isApplied)) return 'undone';
+    if (transaction.entries.every(isApplied)) return 'applied';
+    if (transaction.entries.every((entry) => stack.indexOf(entry) > stack.pointer)) return 'undone';
+    return 'unknown';
+  };
+
+  /**
+   * Gets the models and collections an undo action touched
+   * @param {Object} entry - Undo action
+   * @returns {Object[]}
+   */
+  const getTouched = (entry) => {
+    return [entry.get('object'), entry.get('before'), entry.get('after')]
+      .flat()
+      .filter((item) => item && typeof item === 'object' && (item.cid || Array.isArray(item.models)));
+  };
+
+  /**
+   * Gets the later undo actions that touched what a transaction changed
+   * @param {Object} transaction - Applied transaction
+   * @param {Object[]} undoneFirst - Later transactions undone before this one,
+   *   whose actions (and reverts) don't count as conflicts
+   * @returns {Object[]} - Conflicting undo actions
+   */
+  const getConflicts = (transaction, undoneFirst = []) => {
+    const stack = getStack();
+    const selection = editor.getModel().get('selected');
+    const touched = new Set(transaction.entries.flatMap(getTouched));
+    const lastIndex = Math.max(...transaction.entries.map((entry) => stack.indexOf(entry)));
+    const ignored = new Set([transaction, ...undoneFirst].flatMap((item) => [...item.entries, ...item.reverts]));
+
+    return stack.models.slice(lastIndex + 1, stack.pointer + 1).filter((entry) => {
+      // Selecting a component doesn't change it
+      if (entry.get('object') === selection) return false;
+      if (ignored.has(entry)) return false;
+      return getTouched(entry).some((item) => touched.has(item));
+    });
+  };
+
+  /**
+   * Checks whether a transaction can be undone
+   * @param {Object} transaction - Transaction
+   * @param {Object[]} undoneFirst - Later transactions undone before this one (see getConflicts)
+   * @returns {boolean}
+   */
+  const canUndo = (transaction, undoneFirst = []) => {
+    return getStatus(transaction) === 'applied' && !getConflicts(transaction, undoneFirst).length;
+  };
+
+  /**
+   * Undoes a transaction. When it's the latest change this is a regular
+   * undo step (so it can be redone), otherwise its actions are reverted
+   * as a new change, as long as later edits didn't touch the same
+   * components or rules.
+   * @param {Object} transaction - Transaction
+   * @param {Object[]} undoneFirst - Later transactions already undone (see getConflicts)
+   * @returns {Object} - { success, error }
+   */
+  const undo = (transaction, undoneFirst = []) => {
+    const status = getStatus(transaction);
+    if (status === 'undone') {
+      return { success: false, error: 'This change was already undone.' };
+    }
+    if (status !== 'applied') {
+      return { success: false, error: 'This change is no longer in the undo history.' };
+    }
+
+    const stack = getStack();
+    const last = transaction.entries[transaction.entries.length - 1];
+
+    if (stack.indexOf(last) === stack.pointer) {
+      editor.UndoManager.undo();
+    } else {
+      if (getConflicts(transaction, undoneFirst).length) {
+        return { success: false, error: 'The affected components were edited since this change.' };
+      }
+
+      const [, reverts] = collect(() => {
+        [...transaction.entries].reverse().forEach((entry) => entry.undo());
+      });
+      transaction.reverts = reverts;
+    }
+
+    editor.refresh();
+
+    return getStatus(transaction) === 'undone'
+      ? { success: true }
+      : { success: false, error: 'The change could not be undone.' };
+  };
+
+  return {
+    createTransaction,
+    record,
+    getStatus,
+    canUndo,
+    undo
+  };
+};
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { default: loadHistory } = await import('../src/history.js');
+
+const exists = (id) => id !== 'gone';
+
+/**
+ * Builds a history message
+ * @param {number} index - Message number
+ * @param {Object} extra - Additional message fields
+ * @returns {Object}
+ */
+const message = (index, extra = {}) => ({
+  role: index % 2 ? 'assistant' : 'user',
+  content: `Message ${index} `.padEnd(80, '.'),
+  ...extra
+});
+
+test('sends everything without a budget', () => {
+  const history = loadHistory(null, {}, exists);
+  const messages = [message(0), message(1, { aborted: true }), message(2, { components: ['a', 'gone'] })];
+  const result = history.fit({ message: 'Hi', componentData: { a: { html: '<p></p>', css: 'p{}' } }, history: messages });
+
+  assert.deepEqual(result.included, [messages[0], messages[2]]);
+  assert.deepEqual(result.history[1].components, ['a']);
+  assert.deepEqual(result.trimmed, []);
+  assert.deepEqual(result.dropped, []);
+});
+
+test('keeps the newest contiguous turns that fit and always the latest one', () => {
+  const history = loadHistory(null, { contextBudget: { maxChars: 400 } }, exists);
+  const messages = [0, 1, 2, 3, 4, 5].map((index) => message(index));
+  const size = history.estimateSize(history.toPayloadMessage(messages[0]));
+  const result = history.fit({ message: 'Hi', componentData: {}, history: messages });
+
+  assert.equal(result.included.length, Math.floor((400 - history.estimateSize('Hi') - history.estimateSize({})) / size));
+  assert.deepEqual(result.included, messages.slice(-result.included.length));
+  assert.deepEqual(result.trimmed, messages.slice(0, -result.included.length));
+  assert.deepEqual(result.summarize, []);
+
+  const tiny = loadHistory(null, { contextBudget: { maxTokens: 1 } }, exists)
+    .fit({ message: 'Hi', componentData: {}, history: messages });
+  assert.deepEqual(tiny.included, [messages[5]]);
+});
+
+test('drops optional component data fields before history', () => {
+  const history = loadHistory(null, { contextBudget: { maxChars: 80 } }, exists);
+  const componentData = {
+    a: { html: '<p>Hi</p>', computedStyles: { color: 'red'.repeat(20) }, siblings: ['x'.repeat(60)], css: 'p{}' }
+  };
+  const result = history.fit({ message: 'Hi', componentData, history: [] });
+
+  assert.deepEqual(result.dropped, ['computedStyles', 'siblings']);
+  assert.deepEqual(result.componentData, { a: { html: '<p>Hi</p>', css: 'p{}' } });
+});
+
+test('folds the oldest trimmed turns into the summary and skips summarized ones', () => {
+  const history = loadHistory(null, { contextBudget: { maxChars: 300, summarize: true } }, exists);
+  const messages = [message(0, { summarized: true }), ...[1, 2, 3, 4, 5, 6].map((index) => message(index))];
+  const result = history.fit({ message: 'Hi', componentData: {}, history: messages, summary: 'Earlier: a card.' });
+
+  assert.ok(!result.included.includes(messages[0]) && !result.trimmed.includes(messages[0]));
+  assert.ok(result.trimmed.length > 0);
+  assert.deepEqual(result.summarize, result.trimmed.slice(0, result.summarize.length));
+  assert.equal(result.summarize[0], messages[1]);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!DOCTYPE html>', { url: 'https://editor.example.com/' });
+globalThis.window = window;
+globalThis.document = window.document;
+
+const { default: loadMarkdown } = await import('../src/markdown.js');
+
+const markdown = loadMarkdown(null, {});
+
+/**
+ * Renders a reply and lists its links
+ * @param {Object} module - Markdown module
+ * @param {string} text - Reply text
+ * @returns {Object} - { links: hrefs, text }
+ */
+const renderLinks = (module, text) => {
+  const el = module.render(text);
+  return {
+    links: [...el.querySelectorAll('a')].map((a) => a.getAttribute('href')),
+    text: el.textContent
+  };
+};
+
+test('keeps links with allowed schemes and relative links', () => {
+  const { links } = renderLinks(markdown, '[Docs](https://example.com/a_(b)) [Mail](mailto:a@example.com) [Page](/about) [Top](#top)');
+  assert.deepEqual(links, ['https://example.com/a_(b)', 'mailto:a@example.com', '/about', '#top']);
+});
+
+test('renders links with other schemes as their text', () => {
+  for (const url of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', '\u0001javascript:alert(1)', 'data:text/html,x', 'vbscript:x']) {
+    const { links, text } = renderLinks(markdown, `[Click **here**](${url})`);
+    assert.deepEqual(links, [], url);
+    assert.equal(text, 'Click here');
+  }
+});
+
+test('follows markdown.linkSchemes', () => {
+  const custom = loadMarkdown(null, { markdown: { linkSchemes: ['HTTPS', 'tel'] } });
+  const { links } = renderLinks(custom, '[Call](tel:123) [Site](https://example.com) [Insecure](http://example.com) [Mail](mailto:a@b.c)');
+  assert.deepEqual(links, ['tel:123', 'https://example.com']);
+});
+
+test('shows HTML in replies as text', () => {
+  const el = markdown.render('<img src=x onerror=alert(1)> **<b>bold</b>**');
+  assert.equal(el.querySelector('img, b'), null);
+  assert.equal(el.querySelector('strong').textContent, '<b>bold</b>');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { default: loadRetry } = await import('../src/retry.js');
+const { fetchTransport } = await import('../src/transports.js');
+
+const retry = loadRetry(null, {
+  retry: { maxAttempts: 3, baseDelay: 1000, maxDelay: 10000, statuses: [429, 503], jitter: false }
+});
+
+/**
+ * Sends a request through the fetch transport to a stubbed fetch that fails
+ * @param {number} status - Response status
+ * @param {Object} headers - Response headers
+ * @returns {Promise<Error>} - Error thrown by the transport
+ */
+const failWith = (status, headers = {}) => {
+  globalThis.fetch = async () => new Response('Busy', { status, headers });
+  return fetchTransport({ url: '/api' }).send({}).then(() => assert.fail('expected an error'), (error) => error);
+};
+
+test('backs off exponentially on retryable statuses and network errors', () => {
+  const error = Object.assign(new Error('Busy'), { status: 503 });
+  assert.equal(retry.getRetryDelay(error, 1), 1000);
+  assert.equal(retry.getRetryDelay(error, 2), 2000);
+  assert.equal(retry.getRetryDelay(error, 3), null);
+
+  assert.equal(retry.getRetryDelay(new TypeError('Failed to fetch'), 1), 1000);
+  assert.equal(retry.getRetryDelay(Object.assign(new Error('Bad request'), { status: 400 }), 1), null);
+  assert.equal(retry.getRetryDelay(Object.assign(new Error('Custom'), { retryable: false, status: 503 }), 1), null);
+});
+
+test('follows Retry-After in seconds or as a date', async () => {
+  const seconds = await failWith(429, { 'Retry-After': '2' });
+  assert.equal(seconds.status, 429);
+  assert.equal(seconds.retryAfter, 2000);
+  assert.equal(retry.getRetryDelay(seconds, 1), 2000);
+
+  const date = await failWith(503, { 'Retry-After': new Date(Date.now() + 5000).toUTCString() });
+  assert.ok(date.retryAfter > 3000 && date.retryAfter <= 5000);
+  assert.equal(retry.getRetryDelay(date, 1), date.retryAfter);
+});
+
+test('gives up when Retry-After asks to wait longer than maxDelay', async () => {
+  const error = await failWith(429, { 'Retry-After': '60' });
+  assert.equal(retry.getRetryDelay(error, 1), null);
+
+  const invalid = await failWith(429, { 'Retry-After': 'soon' });
+  assert.equal(invalid.retryAfter, null);
+  assert.equal(retry.getRetryDelay(invalid, 1), 1000);
+});
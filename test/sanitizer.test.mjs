@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!DOCTYPE html>', { url: 'https://editor.example.com/' });
+globalThis.window = window;
+globalThis.document = window.document;
+
+const { default: loadSanitizer, DEFAULT_ALLOWED_TAGS, DEFAULT_ALLOWED_ATTRIBUTES } = await import('../src/sanitizer.js');
+
+const sanitizer = loadSanitizer(null, {
+  sanitize: {
+    allowedTags: DEFAULT_ALLOWED_TAGS,
+    allowedAttributes: DEFAULT_ALLOWED_ATTRIBUTES,
+    allowDataAttributes: true,
+    allowedSchemes: ['http', 'https', 'mailto', 'tel']
+  }
+});
+
+test('removes data-gjs-attributes, which would set attributes past the policy', () => {
+  const { html, removed } = sanitizer.sanitizeHtml(
+    '<img data-gjs-attributes=\'{"onerror":"alert(2)","src":"/x.png"}\' src="/x.png">'
+  );
+  assert.equal(html, '<img src="/x.png">');
+  assert.deepEqual(removed.map((item) => item.name), ['data-gjs-attributes']);
+});
+
+test('removes data-gjs-script, which would add a script', () => {
+  const { html, removed } = sanitizer.sanitizeHtml('<div data-gjs-script="alert(3)" data-role="card">Card</div>');
+  assert.equal(html, '<div data-role="card">Card</div>');
+  assert.deepEqual(removed.map((item) => item.name), ['data-gjs-script']);
+});
+
+test('keeps semicolons inside quoted and parenthesized style values', () => {
+  const { html, removed } = sanitizer.sanitizeHtml(
+    '<div style="background: url(&quot;data:image/png;base64,AAAA&quot;); color: red">x</div>'
+  );
+  assert.equal(removed.length, 1);
+  assert.equal(removed[0].reason, 'scheme');
+  assert.equal(html, '<div style="color: red">x</div>');
+
+  const allowData = loadSanitizer(null, { sanitize: { allowedSchemes: ['https', 'data'] } });
+  const kept = allowData.sanitizeHtml('<div style="background: url(\'data:image/png;base64,AAAA\'); color: red">x</div>');
+  assert.deepEqual(kept.removed, []);
+  assert.match(kept.html, /url\('data:image\/png;base64,AAAA'\); color: red/);
+});
+
+test('drops style properties whose names would inject declarations', () => {
+  const { change, removed } = sanitizer.sanitizeStyle({
+    selector: '.card',
+    style: { 'color:red;background:url(https://evil.example/x.png);x': '1', color: 'blue', '--gap': '4px' }
+  });
+  assert.deepEqual(change.style, { color: 'blue', '--gap': '4px' });
+  assert.deepEqual(removed.map((item) => item.reason), ['malformed']);
+});
+
+test('drops style changes whose selector, state or media query would close the rule', () => {
+  for (const change of [
+    { selector: '.a{}</style><script>alert(1)</script><style>', style: { color: 'red' } },
+    { selector: '.a', state: 'hover{}', style: { color: 'red' } },
+    { selector: '.a', media: '(max-width: 480px);', style: { color: 'red' } }
+  ]) {
+    const result = sanitizer.sanitizeStyle(change);
+    assert.equal(result.change, null);
+    assert.deepEqual(result.removed, [{ type: 'rule', name: 'malformed' }]);
+  }
+
+  const values = sanitizer.sanitizeStyle({ selector: '.a', style: { color: 'red}</style>' } });
+  assert.deepEqual(values.change.style, {});
+});
+
+test('checks every URL of every image-set()', () => {
+  const strict = loadSanitizer(null, { sanitize: { allowedSchemes: ['http', 'https'], blockExternal: true } });
+  const check = (value) => strict.sanitizeStyle({ selector: '.a', style: { 'background-image': value } }).removed;
+
+  assert.deepEqual(check('image-set(url(a.png) 1x, "https://evil.example/b.png" 2x)').map((item) => item.reason), ['external']);
+  assert.deepEqual(check('image-set("a.png" 1x), image-set("https://evil.example/b.png" 1x)').map((item) => item.reason), ['external']);
+  assert.deepEqual(check('image-set(url(a.png) 1x, "b.png" 2x)'), []);
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { fetchTransport, webSocketTransport } = await import('../src/transports.js');
+
+/**
+ * Sends a request through the fetch transport to a stubbed fetch that
+ * responds with the given chunks
+ * @param {string[]} chunks - Body chunks
+ * @param {string} contentType - Response content type
+ * @returns {Promise<Object[]>} - Events read from the stream
+ */
+const readEvents = async (chunks, contentType) => {
+  const encoder = new TextEncoder();
+  globalThis.fetch = async () => new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  }), { headers: { 'Content-Type': contentType } });
+
+  const events = [];
+  for await (const event of await fetchTransport({ url: '/api' }).send({})) {
+    events.push(event);
+  }
+  return events;
+};
+
+test('reads Server-Sent Events split across chunks', async () => {
+  const events = await readEvents([
+    ': keep-alive\n\nevent: delta\ndata: {"type":"re',
+    'ply","text":"Hel"}\n\ndata: {"type":"reply",\r\ndata: "text":"lo"}\r\n\r\n',
+    'data: not json\n\ndata: [DONE]\n\n'
+  ], 'text/event-stream; charset=utf-8');
+
+  assert.deepEqual(events, [
+    { type: 'reply', text: 'Hel' },
+    { type: 'reply', text: 'lo' },
+    { done: true }
+  ]);
+});
+
+test('dispatches a trailing Server-Sent Event without a final blank line', async () => {
+  const events = await readEvents(['data: {"reply":"Done"}'], 'text/event-stream');
+  assert.deepEqual(events, [{ reply: 'Done' }]);
+});
+
+test('reads newline-delimited JSON split across chunks', async () => {
+  const events = await readEvents([
+    '{"type":"reply","text":"a"}\n\n{"type":',
+    '"reply","text":"b"}\r\n{"done":true}'
+  ], 'application/x-ndjson');
+
+  assert.deepEqual(events, [
+    { type: 'reply', text: 'a' },
+    { type: 'reply', text: 'b' },
+    { done: true }
+  ]);
+});
+
+test('cancels the response body when the consumer stops early', async () => {
+  let cancelled = false;
+  globalThis.fetch = async () => new Response(new ReadableStream({
+    pull(controller) {
+      controller.enqueue(new TextEncoder().encode('{"type":"reply","text":"a"}\n'));
+    },
+    cancel() {
+      cancelled = true;
+    }
+  }), { headers: { 'Content-Type': 'application/x-ndjson' } });
+
+  for await (const event of await fetchTransport({ url: '/api' }).send({})) {
+    assert.deepEqual(event, { type: 'reply', text: 'a' });
+    break;
+  }
+  assert.equal(cancelled, true);
+});
+
+/**
+ * Minimal WebSocket stand-in that stays connecting until `open()` is called
+ */
+class FakeSocket extends EventTarget {
+  static CONNECTING = 0;
+  static OPEN = 1;
+
+  constructor() {
+    super();
+    this.readyState = FakeSocket.CONNECTING;
+    this.sent = [];
+    this.listeners = 0;
+  }
+
+  addEventListener(type, listener, options) {
+    this.listeners++;
+    super.addEventListener(type, listener, options);
+  }
+
+  removeEventListener(type, listener, options) {
+    this.listeners--;
+    super.removeEventListener(type, listener, options);
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.dispatchEvent(new Event('open'));
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+}
+
+test('stops waiting for a WebSocket to open when the request is cancelled', async () => {
+  globalThis.WebSocket = FakeSocket;
+  const socket = new FakeSocket();
+  const transport = webSocketTransport({ socket });
+  const attached = socket.listeners;
+
+  const controller = new AbortController();
+  const cancelled = transport.send({ message: 'a' }, { signal: controller.signal });
+  const other = new AbortController();
+  const waiting = transport.send({ message: 'b' }, { signal: other.signal });
+  controller.abort();
+
+  await assert.rejects(cancelled, { name: 'AbortError' });
+  assert.equal(socket.listeners, attached + 2);
+
+  other.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.equal(socket.listeners, attached);
+
+  const sent = transport.send({ message: 'c' });
+  socket.open();
+  await sent;
+  assert.deepEqual(socket.sent.map((data) => data.message), ['c']);
+  assert.equal(socket.listeners, attached);
+});